@@ -25,30 +25,385 @@
   var inputListeners = [];
   var messageHandler = null;
   var tornDown = false;
+  var started = false;
+  var disabled = false; // the host speaks another protocol version
   var nextId = 1;
   var pendingRequests = {};
   var hostContext = null;
+  var hostCapabilities = null; // from the ui/initialize result
   var callToolTimer = null;
   var initialInputSnapshot = {};
 
+  // ---------------------------------------------------------------------------
+  // Utility: grouped and structured controls
+  // ---------------------------------------------------------------------------
+  var FORM_TAGS = ["input", "select", "textarea", "button"];
+  var GROUP_CONTAINER_SELECTOR =
+    ".shiny-input-checkboxgroup, .shiny-input-radiogroup, " +
+    ".shiny-date-range-input";
+  var DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+  function isFormControl(el) {
+    return FORM_TAGS.indexOf(el.tagName.toLowerCase()) !== -1;
+  }
+
+  // Checkbox groups, radio groups and date ranges are read and written as a
+  // whole, even when the marked element is one of their inner inputs.
+  function inputGroupRoot(el) {
+    if (!el || !isFormControl(el) || !el.closest) return el;
+    var group = el.closest(GROUP_CONTAINER_SELECTOR);
+    return group || el;
+  }
+
+  function dateInputsOf(container) {
+    if (
+      container.classList.contains("shiny-date-input") ||
+      container.classList.contains("shiny-date-range-input")
+    ) {
+      return container.querySelectorAll("input");
+    }
+    return container.querySelectorAll('input[type="date"]');
+  }
+
+  // Kind of a non-form container: "radio", "checkbox", "date", "daterange"
+  function groupKind(el) {
+    if (!el || isFormControl(el)) return null;
+    if (el.querySelector('input[type="radio"]')) return "radio";
+    if (el.querySelector('input[type="checkbox"]')) return "checkbox";
+    var dates = dateInputsOf(el);
+    if (dates.length >= 2) return "daterange";
+    if (dates.length === 1) return "date";
+    return null;
+  }
+
+  function isDateInput(el) {
+    var type = (el.getAttribute("type") || "").toLowerCase();
+    return (
+      type === "date" ||
+      el.hasAttribute("data-date-format") ||
+      !!(el.closest && el.closest(".shiny-date-input, .shiny-date-range-input"))
+    );
+  }
+
+  function pad2(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  // Dates travel as ISO "YYYY-MM-DD" strings; empty means null
+  function normalizeDate(value) {
+    if (value === null || value === undefined || value === "") return null;
+    var text = String(value);
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    var parsed = new Date(text);
+    if (isNaN(parsed.getTime())) return text;
+    return (
+      parsed.getFullYear() +
+      "-" +
+      pad2(parsed.getMonth() + 1) +
+      "-" +
+      pad2(parsed.getDate())
+    );
+  }
+
+  // <input type="color"> only accepts lowercase #rrggbb
+  function normalizeColor(value) {
+    if (value === null || value === undefined) return null;
+    var text = String(value).toLowerCase();
+    var short = /^#?([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(text);
+    if (short) {
+      return "#" + short[1] + short[1] + short[2] + short[2] + short[3] + short[3];
+    }
+    var long = /^#?([0-9a-f]{6})$/.exec(text);
+    return long ? "#" + long[1] : text;
+  }
+
+  function toArray(value) {
+    if (value === null || value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function containsValue(values, value) {
+    for (var i = 0; i < values.length; i++) {
+      if (String(values[i]) === String(value)) return true;
+    }
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Utility: file inputs, read as base64 { name, type, size, data }
+  // ---------------------------------------------------------------------------
+  function currentMaxFileBytes() {
+    var limit = Number(config.maxFileBytes);
+    return isFinite(limit) && limit > 0 ? limit : DEFAULT_MAX_FILE_BYTES;
+  }
+
+  function readFileAsBase64(file) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () {
+        var url = String(reader.result || "");
+        var comma = url.indexOf(",");
+        resolve({
+          name: file.name,
+          type: file.type || "application/octet-stream",
+          size: file.size,
+          data: comma === -1 ? "" : url.slice(comma + 1),
+        });
+      };
+      reader.onerror = function () {
+        reject(reader.error || new Error("Could not read " + file.name));
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Encode the selected files and cache them on the element, since
+  // getInputValue() has to stay synchronous.
+  function readFileInput(el) {
+    var files = Array.prototype.slice.call(el.files || []);
+    var limit = currentMaxFileBytes();
+    var accepted = [];
+    for (var i = 0; i < files.length; i++) {
+      if (files[i].size > limit) {
+        console.warn(
+          "[shinymcp-bridge] Skipping file '" +
+            files[i].name +
+            "': " +
+            files[i].size +
+            " bytes exceeds the " +
+            limit +
+            " byte limit."
+        );
+        continue;
+      }
+      accepted.push(files[i]);
+    }
+    return Promise.all(accepted.map(readFileAsBase64)).then(function (encoded) {
+      el._shinymcpFiles = el.multiple ? encoded : encoded[0] || null;
+      updateFileLabel(el, encoded);
+      return el._shinymcpFiles;
+    });
+  }
+
+  // Shiny's fileInput() shows the chosen names in a read-only text box
+  function updateFileLabel(el, files) {
+    var container = el.closest && el.closest(".shiny-input-container");
+    var label = container
+      ? container.querySelector('input[type="text"][readonly]')
+      : null;
+    if (!label) return;
+    var names = [];
+    for (var i = 0; i < files.length; i++) names.push(files[i].name);
+    label.value = names.join(", ");
+  }
+
+  function base64ToBytes(data) {
+    var binary = atob(data || "");
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Model context describes files as { name, type, size }; only tools/call
+  // arguments carry their bytes
+  function describeFiles(value) {
+    if (Array.isArray(value)) return value.map(describeFiles);
+    if (!value || typeof value !== "object") return value;
+    return { name: value.name, type: value.type, size: value.size };
+  }
+
+  function isFileInputElement(el) {
+    if (inputBindingFor(el)) return false;
+    el = inputGroupRoot(el);
+    return (
+      el.tagName.toLowerCase() === "input" &&
+      (el.getAttribute("type") || "").toLowerCase() === "file"
+    );
+  }
+
+  // Restore files from tool arguments. The DataTransfer route lets the
+  // control show the names where the browser supports assigning files.
+  // Descriptions without data (model context replayed as tool-input) leave
+  // the selected files as they are.
+  function setFileInputValue(el, value) {
+    var entries = [];
+    var list = toArray(value);
+    var described = 0;
+    for (var i = 0; i < list.length; i++) {
+      if (!list[i] || typeof list[i] !== "object" || !list[i].name) continue;
+      if (typeof list[i].data === "string") {
+        entries.push(list[i]);
+      } else {
+        described++;
+      }
+    }
+    if (described > 0 && entries.length === 0) return;
+    el._shinymcpFiles = el.multiple ? entries : entries[0] || null;
+    updateFileLabel(el, entries);
+
+    if (typeof DataTransfer === "undefined" || typeof File === "undefined") {
+      return;
+    }
+    try {
+      var transfer = new DataTransfer();
+      for (var j = 0; j < entries.length; j++) {
+        transfer.items.add(
+          new File([base64ToBytes(entries[j].data)], entries[j].name, {
+            type: entries[j].type || "application/octet-stream",
+          })
+        );
+      }
+      el.files = transfer.files;
+    } catch (e) {
+      // Cached value above is still what the bridge sends
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Custom input/output bindings
+  // ---------------------------------------------------------------------------
+  // Third-party components (Web Components, tom-select, noUiSlider, Leaflet,
+  // ...) plug in through bindings, much like Shiny's InputBinding and
+  // OutputBinding. A binding matches an element by `selector` or by `type`
+  // (data-shinymcp-input-type / data-shinymcp-output-type); the most recently
+  // registered match wins.
+  //
+  // Input binding:  { name, selector | type, getValue(el), setValue(el, value),
+  //                   subscribe(el, callback) -> unsubscribe }
+  // Output binding: { name, selector | type, renderValue(el, value, payload),
+  //                   renderError(el, message) }
+  var inputBindings = [];
+  var outputBindings = [];
+
+  function validateBinding(binding, kind, required) {
+    if (!binding || typeof binding !== "object") {
+      throw new TypeError("[shinymcp-bridge] " + kind + " binding must be an object");
+    }
+    if (!binding.selector && !binding.type) {
+      throw new TypeError(
+        "[shinymcp-bridge] " + kind + " binding needs a `selector` or `type`"
+      );
+    }
+    if (typeof binding[required] !== "function") {
+      throw new TypeError(
+        "[shinymcp-bridge] " + kind + " binding needs a `" + required + "()` method"
+      );
+    }
+  }
+
+  function addBinding(list, binding) {
+    if (binding.name) {
+      for (var i = list.length - 1; i >= 0; i--) {
+        if (list[i].name === binding.name) list.splice(i, 1);
+      }
+    }
+    list.push(binding);
+    return function unregister() {
+      var index = list.indexOf(binding);
+      if (index !== -1) list.splice(index, 1);
+    };
+  }
+
+  function bindingMatches(binding, el, type) {
+    if (binding.type && type === binding.type) return true;
+    if (!binding.selector || typeof el.matches !== "function") return false;
+    try {
+      return el.matches(binding.selector);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function findBinding(list, el, type) {
+    if (!el || el.nodeType !== 1) return null;
+    for (var i = list.length - 1; i >= 0; i--) {
+      if (bindingMatches(list[i], el, type)) return list[i];
+    }
+    return null;
+  }
+
+  function inputBindingFor(el) {
+    return findBinding(
+      inputBindings,
+      el,
+      el && el.getAttribute ? el.getAttribute("data-shinymcp-input-type") : null
+    );
+  }
+
+  function outputBindingFor(el, type) {
+    return findBinding(outputBindings, el, type);
+  }
+
+  function registerInputBinding(binding) {
+    validateBinding(binding, "Input", "getValue");
+    var unregister = addBinding(inputBindings, binding);
+    refreshInputs();
+    return function () {
+      unregister();
+      refreshInputs();
+    };
+  }
+
+  function registerOutputBinding(binding) {
+    validateBinding(binding, "Output", "renderValue");
+    return addBinding(outputBindings, binding);
+  }
+
+  // Default subscription for bound elements: standard change/input events
+  function subscribeBinding(binding, el, callback) {
+    if (typeof binding.subscribe === "function") {
+      var unsubscribe = binding.subscribe(el, callback);
+      return typeof unsubscribe === "function" ? unsubscribe : null;
+    }
+    el.addEventListener("change", callback);
+    el.addEventListener("input", callback);
+    return function () {
+      el.removeEventListener("change", callback);
+      el.removeEventListener("input", callback);
+    };
+  }
+
   // ---------------------------------------------------------------------------
   // Utility: read the value of a form element
   // ---------------------------------------------------------------------------
   function getInputValue(el) {
     if (!el) return null;
+    var binding = inputBindingFor(el);
+    if (binding) return binding.getValue(el);
+    el = inputGroupRoot(el);
     var tag = el.tagName.toLowerCase();
     var type = (el.getAttribute("type") || "").toLowerCase();
 
-    // Radio-group container: div or fieldset wrapping radio inputs
-    if (
-      (tag === "div" || tag === "fieldset") &&
-      el.querySelector('input[type="radio"]')
-    ) {
+    // Container: radio group, checkbox group or date (range)
+    var kind = groupKind(el);
+    if (kind === "radio") {
       var selectedRadio = el.querySelector('input[type="radio"]:checked');
       return selectedRadio ? selectedRadio.value : null;
     }
+    if (kind === "checkbox") {
+      var checkedBoxes = el.querySelectorAll('input[type="checkbox"]:checked');
+      var boxValues = [];
+      for (var b = 0; b < checkedBoxes.length; b++) {
+        boxValues.push(checkedBoxes[b].value);
+      }
+      return boxValues;
+    }
+    if (kind === "daterange") {
+      var ends = dateInputsOf(el);
+      return [normalizeDate(ends[0].value), normalizeDate(ends[1].value)];
+    }
+    if (kind === "date") {
+      return normalizeDate(dateInputsOf(el)[0].value);
+    }
 
-    if (tag === "select") return el.value;
+    if (tag === "select") {
+      if (!el.multiple) return el.value;
+      var selected = [];
+      for (var o = 0; o < el.options.length; o++) {
+        if (el.options[o].selected) selected.push(el.options[o].value);
+      }
+      return selected;
+    }
     if (tag === "textarea") return el.value;
 
     if (tag === "input") {
@@ -57,6 +412,15 @@
         var num = parseFloat(el.value);
         return isNaN(num) ? null : num;
       }
+      if (type === "file") {
+        return el._shinymcpFiles !== undefined
+          ? el._shinymcpFiles
+          : el.multiple
+            ? []
+            : null;
+      }
+      if (type === "color") return normalizeColor(el.value);
+      if (isDateInput(el)) return normalizeDate(el.value);
       if (type === "radio") {
         var name = el.getAttribute("name");
         if (name) {
@@ -104,8 +468,9 @@
 
   // Find the DOM element for a given argument name, with priority:
   // 1. Explicit data-shinymcp-input attribute
-  // 2. Standard form elements by id (input, select, textarea, button)
-  // 3. Container with id holding radio inputs
+  // 2. Element with that id claimed by a registered input binding
+  // 3. Standard form elements by id (input, select, textarea, button)
+  // 4. Container with id holding radio, checkbox or date inputs
   function resolveInputElement(argName) {
     var escaped = cssEscape(argName);
 
@@ -113,9 +478,15 @@
     var explicit = document.querySelector(
       '[data-shinymcp-input="' + escaped + '"]'
     );
-    if (explicit) return explicit;
+    if (explicit) {
+      return inputBindingFor(explicit) ? explicit : inputGroupRoot(explicit);
+    }
 
-    // Priority 2: standard form elements by id
+    // Priority 2: custom binding
+    var bound = document.getElementById(argName);
+    if (bound && inputBindingFor(bound)) return bound;
+
+    // Priority 3: standard form elements by id
     var selectors = [
       'select#' + escaped,
       'input#' + escaped,
@@ -124,15 +495,12 @@
     ];
     for (var i = 0; i < selectors.length; i++) {
       var el = document.querySelector(selectors[i]);
-      if (el) return el;
+      if (el) return inputGroupRoot(el);
     }
 
-    // Priority 3: container with id holding radio inputs
+    // Priority 4: container with id holding radio, checkbox or date inputs
     var container = document.getElementById(argName);
-    if (
-      container &&
-      container.querySelector('input[type="radio"]')
-    ) {
+    if (container && groupKind(container)) {
       return container;
     }
 
@@ -163,13 +531,20 @@
   // ---------------------------------------------------------------------------
   // Utility: collect all current input values
   // ---------------------------------------------------------------------------
-  function collectAllInputs() {
+  // forModel describes file inputs instead of including their contents, for
+  // ui/update-model-context
+  function collectAllInputs(forModel) {
     var inputs = {};
 
+    function read(el) {
+      var value = getInputValue(el);
+      return forModel && isFileInputElement(el) ? describeFiles(value) : value;
+    }
+
     // Collect from auto-detected cache first
     var cacheKeys = Object.keys(inputCache);
     for (var i = 0; i < cacheKeys.length; i++) {
-      inputs[cacheKeys[i]] = getInputValue(inputCache[cacheKeys[i]]);
+      inputs[cacheKeys[i]] = read(inputCache[cacheKeys[i]]);
     }
 
     // Fall back to explicit data-shinymcp-input scan (backward compat + extras)
@@ -178,23 +553,378 @@
       var el = elements[j];
       var id = el.getAttribute("data-shinymcp-input");
       if (id && !(id in inputs)) {
-        inputs[id] = getInputValue(el);
+        inputs[id] = read(el);
       }
     }
 
     return inputs;
   }
 
+  function updateModelContext() {
+    if (disabled) return;
+    sendNotification("ui/update-model-context", {
+      structuredContent: collectAllInputs(true),
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output renderers: images, PDFs and widgets
+  // ---------------------------------------------------------------------------
+  var IMAGE_MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    svg: "image/svg+xml",
+  };
+  var loadedDependencies = {};
+
+  // Guess an image MIME type from the base64-encoded magic bytes
+  function sniffImageMimeType(data) {
+    if (data.indexOf("iVBORw0KGgo") === 0) return "image/png";
+    if (data.indexOf("/9j/") === 0) return "image/jpeg";
+    if (data.indexOf("R0lGOD") === 0) return "image/gif";
+    if (data.indexOf("UklGR") === 0) return "image/webp";
+    if (data.indexOf("PHN2Z") === 0 || data.indexOf("PD94bW") === 0) {
+      return "image/svg+xml";
+    }
+    return "image/png";
+  }
+
+  function isUrl(value) {
+    return /^(data|blob|https?):/i.test(value);
+  }
+
+  function imageSource(value, mimeType) {
+    value = String(value == null ? "" : value).replace(/^\s+|\s+$/g, "");
+    if (isUrl(value)) return value;
+    // Raw SVG markup rather than base64 data
+    if (value.charAt(0) === "<") {
+      return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(value);
+    }
+    var mime = mimeType ? String(mimeType).toLowerCase() : "";
+    mime = IMAGE_MIME_TYPES[mime] || mime || sniffImageMimeType(value);
+    return "data:" + mime + ";base64," + value;
+  }
+
+  function releaseObjectUrl(el) {
+    if (el._shinymcpObjectUrl) {
+      URL.revokeObjectURL(el._shinymcpObjectUrl);
+      el._shinymcpObjectUrl = null;
+    }
+  }
+
+  function renderImage(el, value, payload, alt) {
+    var img = document.createElement("img");
+    img.src = imageSource(value, payload && payload.mimeType);
+    img.alt = (payload && payload.alt) || alt;
+    img.style.maxWidth = "100%";
+    img.style.height = "auto";
+    el.innerHTML = "";
+    el.appendChild(img);
+  }
+
+  // Page count from the PDF's page tree: the largest /Count (the root
+  // /Pages node), else the number of /Page objects. Null when neither can be
+  // read, as with page trees inside compressed object streams.
+  function pdfPageCount(binary) {
+    var count = 0;
+    var match;
+    var counts = /\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g;
+    while ((match = counts.exec(binary))) {
+      count = Math.max(count, parseInt(match[1] || match[2], 10));
+    }
+    if (count === 0) {
+      var pages = binary.match(/\/Type\s*\/Page(?![A-Za-z])/g);
+      count = pages ? pages.length : 0;
+    }
+    return count > 0 ? count : null;
+  }
+
+  // Resolves the viewer's src and, for inline data, its page count
+  function pdfSource(el, value, mimeType) {
+    value = String(value == null ? "" : value);
+    if (isUrl(value)) return { src: value, pages: null };
+    mimeType = mimeType || "application/pdf";
+    var binary = null;
+    try {
+      binary = atob(value);
+    } catch (e) {
+      console.warn("[shinymcp-bridge] Could not decode PDF output:", e);
+    }
+    var pages = binary === null ? null : pdfPageCount(binary);
+    // Blob URLs avoid browsers that refuse to navigate frames to data: PDFs
+    if (binary !== null && typeof Blob !== "undefined" &&
+        typeof URL !== "undefined" && typeof URL.createObjectURL === "function") {
+      var bytes = new Uint8Array(binary.length);
+      for (var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+      el._shinymcpObjectUrl = URL.createObjectURL(
+        new Blob([bytes], { type: mimeType })
+      );
+      return { src: el._shinymcpObjectUrl, pages: pages };
+    }
+    return { src: "data:" + mimeType + ";base64," + value, pages: pages };
+  }
+
+  // The viewer is the browser's own PDF viewer in a nested frame. Frames
+  // sandboxed without allow-same-origin (the host default) run at an opaque
+  // origin, and some browsers refuse to show PDFs there, so the viewer also
+  // says where to find the file when that is the case.
+  function isSandboxed() {
+    try {
+      return window.origin === "null" || window.location.origin === "null";
+    } catch (e) {
+      return true;
+    }
+  }
+
+  function renderPdf(el, value, payload) {
+    var source = pdfSource(el, value, payload && payload.mimeType);
+    var src = source.src;
+    var pageCount = source.pages;
+    var page = 1;
+
+    var viewer = document.createElement("div");
+    viewer.className = "shinymcp-pdf";
+
+    var toolbar = document.createElement("div");
+    toolbar.className = "shinymcp-pdf-toolbar";
+    toolbar.style.cssText =
+      "display: flex; align-items: center; gap: 8px; margin-bottom: 6px;";
+
+    var prev = document.createElement("button");
+    prev.type = "button";
+    prev.textContent = "Previous";
+    var label = document.createElement("span");
+    label.setAttribute("aria-live", "polite");
+    var next = document.createElement("button");
+    next.type = "button";
+    next.textContent = "Next";
+    var open = document.createElement("a");
+    open.href = src;
+    open.target = "_blank";
+    open.rel = "noopener";
+    open.textContent = "Open PDF";
+    if (payload && payload.filename) {
+      open.setAttribute("download", payload.filename);
+    }
+
+    var frame = document.createElement("iframe");
+    frame.className = "shinymcp-pdf-frame";
+    frame.title = (payload && payload.alt) || "PDF output";
+    frame.style.cssText =
+      "display: block; width: 100%; border: 0; height: " +
+      ((payload && payload.height) || "480px") + ";";
+
+    function showPage(n) {
+      page = Math.max(1, pageCount ? Math.min(n, pageCount) : n);
+      prev.disabled = page === 1;
+      next.disabled = pageCount !== null && page >= pageCount;
+      label.textContent = "Page " + page + (pageCount ? " of " + pageCount : "");
+      frame.src = src + "#page=" + page;
+    }
+
+    prev.addEventListener("click", function () {
+      showPage(page - 1);
+    });
+    next.addEventListener("click", function () {
+      showPage(page + 1);
+    });
+
+    toolbar.appendChild(prev);
+    toolbar.appendChild(label);
+    toolbar.appendChild(next);
+    toolbar.appendChild(open);
+    viewer.appendChild(toolbar);
+    viewer.appendChild(frame);
+    if (isSandboxed()) {
+      var note = document.createElement("p");
+      note.className = "shinymcp-pdf-note";
+      note.style.cssText = "margin: 6px 0 0; font-size: 0.85em; opacity: 0.75;";
+      note.textContent =
+        "If the PDF does not show, the host's sandbox is blocking the " +
+        "browser's PDF viewer.";
+      viewer.appendChild(note);
+    }
+
+    el.innerHTML = "";
+    el.appendChild(viewer);
+    showPage(1);
+  }
+
+  // innerHTML does not run <script> tags, so recreate them in place
+  function activateScripts(root) {
+    var scripts = root.querySelectorAll("script");
+    for (var i = 0; i < scripts.length; i++) {
+      var old = scripts[i];
+      var script = document.createElement("script");
+      for (var j = 0; j < old.attributes.length; j++) {
+        script.setAttribute(old.attributes[j].name, old.attributes[j].value);
+      }
+      script.text = old.text;
+      old.parentNode.replaceChild(script, old);
+    }
+  }
+
+  // Resolves once an external script has loaded or failed to
+  function scriptLoaded(node) {
+    return new Promise(function (resolve) {
+      node.addEventListener("load", resolve);
+      node.addEventListener("error", function () {
+        console.warn(
+          "[shinymcp-bridge] Failed to load widget script:",
+          node.getAttribute("src")
+        );
+        resolve();
+      });
+    });
+  }
+
+  function appendAsset(tagName, content, attrs) {
+    var node = document.createElement(tagName);
+    var keys = Object.keys(attrs);
+    for (var i = 0; i < keys.length; i++) {
+      node.setAttribute(keys[i], attrs[keys[i]]);
+    }
+    if (content != null) node.textContent = content;
+    (document.head || document.documentElement).appendChild(node);
+    return node;
+  }
+
+  // Load an asset set once per key. loadedDependencies keeps each key's load
+  // promise, so a second widget needing the same assets waits on the first
+  // load instead of mounting before its scripts exist.
+  function loadOnce(key, load) {
+    if (!loadedDependencies[key]) loadedDependencies[key] = load();
+    return loadedDependencies[key];
+  }
+
+  // A widget's <head> markup, with its scripts run in document order
+  function loadHead(head) {
+    if (!head) return Promise.resolve();
+    return loadOnce("head:" + head, function () {
+      var holder = document.createElement("div");
+      holder.innerHTML = head;
+      activateScripts(holder);
+      var pending = [];
+      var scripts = holder.querySelectorAll("script[src]");
+      for (var i = 0; i < scripts.length; i++) {
+        pending.push(scriptLoaded(scripts[i]));
+      }
+      while (holder.firstChild) {
+        (document.head || document.documentElement).appendChild(holder.firstChild);
+      }
+      return Promise.all(pending);
+    });
+  }
+
+  function loadDependency(dep) {
+    var styles = Array.isArray(dep.stylesheets) ? dep.stylesheets : [];
+    for (var i = 0; i < styles.length; i++) {
+      if (styles[i].src) {
+        appendAsset("link", null, { rel: "stylesheet", href: styles[i].src });
+      } else {
+        appendAsset("style", styles[i].content || "", {});
+      }
+    }
+
+    var chain = Promise.resolve();
+    var scripts = Array.isArray(dep.scripts) ? dep.scripts : [];
+    scripts.forEach(function (asset) {
+      chain = chain.then(function () {
+        var attrs = asset.type ? { type: asset.type } : {};
+        if (!asset.src) {
+          appendAsset("script", asset.content || "", attrs);
+          return null;
+        }
+        var node = document.createElement("script");
+        var loaded = scriptLoaded(node);
+        if (asset.type) node.type = asset.type;
+        node.src = asset.src;
+        (document.head || document.documentElement).appendChild(node);
+        return loaded;
+      });
+    });
+    return chain;
+  }
+
+  // Load a widget's HTML dependencies once per name@version, in order.
+  // Resolves when every external script has loaded so inline widget code can
+  // rely on them.
+  function loadDependencies(deps) {
+    var chain = Promise.resolve();
+    if (!Array.isArray(deps)) return chain;
+
+    deps.forEach(function (dep) {
+      if (!dep || !dep.name) return;
+      var key = dep.name + "@" + (dep.version || "");
+      chain = chain.then(function () {
+        return loadOnce(key, function () {
+          return loadDependency(dep);
+        });
+      });
+    });
+
+    return chain;
+  }
+
+  function renderWidget(el, value, payload) {
+    var token = (el._shinymcpRenderToken || 0) + 1;
+    el._shinymcpRenderToken = token;
+
+    loadHead(payload && payload.head)
+      .then(function () {
+        return loadDependencies(payload && payload.dependencies);
+      })
+      .then(function () {
+        // A newer result replaced this one while dependencies were loading
+        if (el._shinymcpRenderToken !== token) return;
+        el.innerHTML = value == null ? "" : String(value);
+        activateScripts(el);
+        if (
+          window.HTMLWidgets &&
+          typeof window.HTMLWidgets.staticRender === "function"
+        ) {
+          window.HTMLWidgets.staticRender();
+        }
+      });
+  }
+
   // ---------------------------------------------------------------------------
   // Utility: update an output element
   // ---------------------------------------------------------------------------
-  function updateOutput(id, value, type) {
+
+  // payload is the full typed result ({ type, value, mimeType, ... }) when
+  // one is available; renderers read extra fields such as mimeType from it.
+  function updateOutput(id, value, type, payload) {
     var el = document.querySelector(
       '[data-shinymcp-output="' + id + '"]'
     );
     if (!el) return;
 
     type = type || el.getAttribute("data-shinymcp-output-type") || "text";
+    releaseObjectUrl(el);
+    el._shinymcpRenderToken = (el._shinymcpRenderToken || 0) + 1;
+
+    var binding = outputBindingFor(el, type);
+    if (binding) {
+      try {
+        binding.renderValue(el, value, payload || null);
+      } catch (err) {
+        console.error(
+          "[shinymcp-bridge] Output binding '" +
+            (binding.name || binding.type || binding.selector) +
+            "' failed to render '" +
+            id +
+            "':",
+          err
+        );
+      }
+      return;
+    }
 
     switch (type) {
       case "text":
@@ -204,8 +934,16 @@
         el.innerHTML = value;
         break;
       case "plot":
-        el.innerHTML =
-          '<img src="data:image/png;base64,' + value + '" alt="Plot output">';
+        renderImage(el, value, payload, "Plot output");
+        break;
+      case "image":
+        renderImage(el, value, payload, "Image output");
+        break;
+      case "pdf":
+        renderPdf(el, value, payload);
+        break;
+      case "widget":
+        renderWidget(el, value, payload);
         break;
       case "table":
         el.innerHTML = value;
@@ -215,12 +953,355 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Output state: loading, error and stale markers
+  // ---------------------------------------------------------------------------
+  // Each [data-shinymcp-output] carries data-shinymcp-state ("loading",
+  // "ready" or "error") and aria-busy while a tool that feeds it runs. The
+  // last good value stays in place, flagged with data-shinymcp-stale="true",
+  // until a new result replaces it. Tool errors render in a sibling
+  // [data-shinymcp-output-error] area instead of overwriting the output.
+  var learnedToolOutputs = {}; // toolName -> output ids seen in its results
+
+  var OUTPUT_STATE_CSS = [
+    '[data-shinymcp-output][data-shinymcp-state="loading"],',
+    '[data-shinymcp-output][data-shinymcp-stale="true"] {',
+    "  opacity: 0.55; transition: opacity 0.15s ease; }",
+    '[data-shinymcp-output][data-shinymcp-state="loading"] { cursor: progress; }',
+    ".shinymcp-output-error { margin-top: 6px; padding: 8px 10px;",
+    "  border: 1px solid #f4c7d2; border-radius: 4px; background: #fff4f6;",
+    "  color: #8b1e3f; font-size: 13px; white-space: pre-wrap; }",
+    ".shinymcp-output-error[hidden] { display: none; }",
+    '[data-shinymcp-theme="dark"] .shinymcp-output-error {',
+    "  border-color: #6b2a3d; background: #3b1d27; color: #f9c5d1; }",
+    ".shinymcp-bridge-error { margin: 0 0 12px; padding: 10px 12px;",
+    "  border: 1px solid #f4c7d2; border-radius: 4px; background: #fff4f6;",
+    "  color: #8b1e3f; font-size: 13px; }",
+    '[data-shinymcp-theme="dark"] .shinymcp-bridge-error {',
+    "  border-color: #6b2a3d; background: #3b1d27; color: #f9c5d1; }",
+    "[data-shinymcp-action][data-shinymcp-unsupported] {",
+    "  opacity: 0.5; cursor: not-allowed; }",
+  ].join("\n");
+
+  function injectOutputStateStyles() {
+    if (document.getElementById("shinymcp-bridge-styles")) return;
+    var style = document.createElement("style");
+    style.id = "shinymcp-bridge-styles";
+    style.textContent = OUTPUT_STATE_CSS;
+    // Insert first so app stylesheets can override these defaults
+    var head = document.head || document.documentElement;
+    head.insertBefore(style, head.firstChild);
+  }
+
+  function allOutputIds() {
+    var ids = [];
+    var els = document.querySelectorAll("[data-shinymcp-output]");
+    for (var i = 0; i < els.length; i++) {
+      ids.push(els[i].getAttribute("data-shinymcp-output"));
+    }
+    return ids;
+  }
+
+  // Output ids fed by a tool: the declared config.toolOutputs entry, then ids
+  // learned from the tool's earlier results, then every output on the page.
+  function findToolOutputs(toolName) {
+    var declared = config.toolOutputs && config.toolOutputs[toolName];
+    if (Array.isArray(declared)) return declared;
+    if (toolName && learnedToolOutputs[toolName]) {
+      return learnedToolOutputs[toolName];
+    }
+    return allOutputIds();
+  }
+
+  function outputElement(id) {
+    return document.querySelector(
+      '[data-shinymcp-output="' + cssEscape(id) + '"]'
+    );
+  }
+
+  function outputErrorElement(el, create) {
+    var id = el.getAttribute("data-shinymcp-output");
+    var errorId = "shinymcp-output-error-" + id;
+    var errorEl = document.getElementById(errorId);
+    if (!errorEl && create && el.parentNode) {
+      errorEl = document.createElement("div");
+      errorEl.id = errorId;
+      errorEl.className = "shinymcp-output-error";
+      errorEl.setAttribute("data-shinymcp-output-error", id);
+      errorEl.setAttribute("role", "alert");
+      errorEl.hidden = true;
+      el.parentNode.insertBefore(errorEl, el.nextSibling);
+    }
+    return errorEl;
+  }
+
+  function hasOutputValue(el) {
+    return el.childNodes.length > 0;
+  }
+
+  // Reflect the busy tools onto the outputs they feed
+  function refreshOutputBusyStates() {
+    var busyOutputs = {};
+    var tools = Object.keys(busyTools);
+    for (var i = 0; i < tools.length; i++) {
+      var ids = findToolOutputs(tools[i]);
+      for (var j = 0; j < ids.length; j++) {
+        busyOutputs[ids[j]] = true;
+      }
+    }
+
+    var els = document.querySelectorAll("[data-shinymcp-output]");
+    for (var k = 0; k < els.length; k++) {
+      var el = els[k];
+      if (busyOutputs[el.getAttribute("data-shinymcp-output")]) {
+        el.setAttribute("aria-busy", "true");
+        el.setAttribute("data-shinymcp-state", "loading");
+        if (hasOutputValue(el)) {
+          el.setAttribute("data-shinymcp-stale", "true");
+        }
+      } else if (el.getAttribute("data-shinymcp-state") === "loading") {
+        // Finished without a result (e.g. cancelled): fall back to the last
+        // settled state and keep the stale marker on the old value.
+        el.removeAttribute("aria-busy");
+        if (el._shinymcpSettledState) {
+          el.setAttribute("data-shinymcp-state", el._shinymcpSettledState);
+        } else {
+          el.removeAttribute("data-shinymcp-state");
+        }
+      }
+    }
+  }
+
+  function markOutputsReady(ids) {
+    for (var i = 0; i < ids.length; i++) {
+      var el = outputElement(ids[i]);
+      if (!el) continue;
+      el._shinymcpSettledState = "ready";
+      el.setAttribute("data-shinymcp-state", "ready");
+      el.removeAttribute("aria-busy");
+      el.removeAttribute("data-shinymcp-stale");
+      el.removeAttribute("aria-describedby");
+      var errorEl = outputErrorElement(el, false);
+      if (errorEl) {
+        errorEl.textContent = "";
+        errorEl.hidden = true;
+      }
+    }
+  }
+
+  function markOutputsError(ids, message) {
+    for (var i = 0; i < ids.length; i++) {
+      var el = outputElement(ids[i]);
+      if (!el) continue;
+      el._shinymcpSettledState = "error";
+      el.setAttribute("data-shinymcp-state", "error");
+      el.removeAttribute("aria-busy");
+      if (hasOutputValue(el)) {
+        el.setAttribute("data-shinymcp-stale", "true");
+      }
+      var errorEl = outputErrorElement(el, true);
+      if (errorEl) {
+        errorEl.textContent = message;
+        errorEl.hidden = false;
+        el.setAttribute("aria-describedby", errorEl.id);
+      }
+      var binding = outputBindingFor(
+        el,
+        el.getAttribute("data-shinymcp-output-type")
+      );
+      if (binding && typeof binding.renderError === "function") {
+        binding.renderError(el, message);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Protocol version and capabilities
+  // ---------------------------------------------------------------------------
+  var PROTOCOL_VERSION = "2025-06-18";
+
+  // Host -> app messages this bridge understands, advertised in
+  // appCapabilities so hosts can skip the rest
+  var HANDLED_NOTIFICATIONS = [
+    "ui/notifications/tool-input",
+    "ui/notifications/tool-input-partial",
+    "ui/notifications/tool-result",
+    "ui/notifications/tool-cancelled",
+    "ui/notifications/host-context-changed",
+    "ui/notifications/trigger-tool-call",
+    "ui/notifications/reset",
+  ];
+  var HANDLED_REQUESTS = ["ui/resource-teardown"];
+
+  function currentProtocolVersion() {
+    return config.protocolVersion || PROTOCOL_VERSION;
+  }
+
+  // Hosts that leave the version out are taken to speak ours
+  function isSupportedProtocolVersion(version) {
+    return (
+      version == null ||
+      version === "" ||
+      version === currentProtocolVersion() ||
+      version === PROTOCOL_VERSION
+    );
+  }
+
+  function appCapabilities() {
+    return {
+      notifications: HANDLED_NOTIFICATIONS.slice(),
+      requests: HANDLED_REQUESTS.slice(),
+      availableDisplayModes: ["inline", "fullscreen", "pip"],
+      // Accepts a MessagePort with the ui/initialize response
+      messageChannel: {},
+    };
+  }
+
+  // Until the host has answered ui/initialize every feature is assumed;
+  // afterwards only what it declared in hostCapabilities. A host that
+  // declares no capabilities at all is taken as not saying, so everything
+  // is still assumed.
+  function hostSupports(capability) {
+    return !hostCapabilities || hostCapabilities[capability] !== undefined;
+  }
+
+  function readHostCapabilities(declared) {
+    if (
+      !declared ||
+      typeof declared !== "object" ||
+      Object.keys(declared).length === 0
+    ) {
+      return null;
+    }
+    return declared;
+  }
+
+  // Say once, in the console and the view, that the host will not run the
+  // app's tools, rather than leaving the outputs silently blank
+  var warnedNoServerTools = false;
+
+  function warnNoServerTools() {
+    if (warnedNoServerTools) return;
+    warnedNoServerTools = true;
+    var message =
+      "This host does not offer serverTools, so the app cannot call its " +
+      "tools and its outputs will not update.";
+    console.warn("[shinymcp-bridge] " + message);
+    showBridgeError(message);
+  }
+
+  // A visible banner for problems that stop the whole app, such as a
+  // protocol version mismatch
+  function showBridgeError(message) {
+    var el = document.querySelector("[data-shinymcp-bridge-error]");
+    if (!el) {
+      el = document.createElement("div");
+      el.className = "shinymcp-bridge-error";
+      el.setAttribute("data-shinymcp-bridge-error", "");
+      el.setAttribute("role", "alert");
+      document.body.insertBefore(el, document.body.firstChild);
+    }
+    el.textContent = message;
+  }
+
   // ---------------------------------------------------------------------------
   // JSON-RPC messaging via postMessage
   // ---------------------------------------------------------------------------
+  // JSON-RPC error codes used by the bridge itself
+  var JSONRPC_METHOD_NOT_FOUND = -32601;
+  var JSONRPC_REQUEST_TIMEOUT = -32001;
+  var JSONRPC_REQUEST_CANCELLED = -32800;
+
+  // Error carrying the JSON-RPC error code and data back to callers
+  function createRpcError(error, method) {
+    error = error || {};
+    var err = new Error(
+      error.message || "JSON-RPC request '" + method + "' failed"
+    );
+    err.name = "JsonRpcError";
+    err.code = typeof error.code === "number" ? error.code : null;
+    err.data = error.data !== undefined ? error.data : null;
+    err.method = method;
+    return err;
+  }
+
+  // Requests wait as long as the host takes unless config.requestTimeoutMs
+  // opts in to a limit; tools may legitimately run for minutes
+  function currentRequestTimeoutMs() {
+    return typeof config.requestTimeoutMs === "number"
+      ? config.requestTimeoutMs
+      : 0;
+  }
+
+  function settleRequest(id) {
+    var pending = pendingRequests[id];
+    if (!pending) return null;
+    delete pendingRequests[id];
+    if (pending.timer) clearTimeout(pending.timer);
+    return pending;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Host channel: who the bridge listens to and posts to
+  // ---------------------------------------------------------------------------
+  // Window messages are only accepted from window.parent. The host origin is
+  // pinned by config.hostOrigin or learned from the ui/initialize response;
+  // from then on other origins are dropped and posts target that origin
+  // rather than "*". A host may also hand over a MessagePort with the
+  // initialize response, after which all traffic uses the port.
+  var hostOrigin = null;
+  var hostPort = null;
+
+  function hasHost() {
+    return !!hostPort || !!(window.parent && window.parent !== window);
+  }
+
+  function expectedHostOrigin() {
+    var origin = hostOrigin || config.hostOrigin;
+    return origin && origin !== "null" ? origin : null;
+  }
+
+  function postToHost(message) {
+    if (hostPort) {
+      hostPort.postMessage(message);
+      return;
+    }
+    window.parent.postMessage(message, expectedHostOrigin() || "*");
+  }
+
+  function onWindowMessage(event) {
+    if (hostPort || event.source !== window.parent) return;
+    var expected = expectedHostOrigin();
+    if (expected && event.origin !== expected) return;
+    handleHostMessage(event);
+  }
+
+  // Lock onto the host that answered ui/initialize
+  function adoptHostChannel(event) {
+    if (!hostOrigin && event.origin && event.origin !== "null") {
+      hostOrigin = event.origin;
+    }
+    var port = event.ports && event.ports[0];
+    if (port && !hostPort) {
+      hostPort = port;
+      hostPort.onmessage = handleHostMessage;
+    }
+  }
+
+  function closeHostChannel() {
+    if (!hostPort) return;
+    hostPort.onmessage = null;
+    hostPort.close();
+    hostPort = null;
+  }
+
+  // Send a request and return a promise for its result. The promise rejects
+  // with a JsonRpcError when the host answers with an error or, when
+  // config.requestTimeoutMs is above 0, does not answer in time. A timed-out
+  // request is cancelled with the host too, so it can stop the work.
   function sendRequest(method, params) {
     if (tornDown) return null;
-    if (!window.parent || window.parent === window) return null;
+    if (!hasHost()) return null;
 
     var id = nextId++;
     var message = {
@@ -232,15 +1313,59 @@
       message.params = params;
     }
 
-    return new Promise(function (resolve) {
-      pendingRequests[id] = resolve;
-      window.parent.postMessage(message, "*");
+    var promise = new Promise(function (resolve, reject) {
+      var pending = { method: method, resolve: resolve, reject: reject };
+      var timeoutMs = currentRequestTimeoutMs();
+      if (timeoutMs > 0) {
+        pending.timer = setTimeout(function () {
+          if (!settleRequest(id)) return;
+          sendNotification("notifications/cancelled", {
+            requestId: id,
+            reason: "Timed out after " + timeoutMs + "ms",
+          });
+          reject(
+            createRpcError(
+              {
+                code: JSONRPC_REQUEST_TIMEOUT,
+                message:
+                  "Request '" + method + "' timed out after " + timeoutMs + "ms",
+                data: { id: id, timeoutMs: timeoutMs },
+              },
+              method
+            )
+          );
+        }, timeoutMs);
+      }
+      pendingRequests[id] = pending;
+      postToHost(message);
     });
+    promise.requestId = id;
+    return promise;
+  }
+
+  // Abandon a pending request. Its promise rejects with a cancellation error
+  // and any late response is ignored. When notifyHost is true the host is told
+  // via notifications/cancelled so it can stop the work.
+  function cancelRequest(id, reason, notifyHost) {
+    var pending = settleRequest(id);
+    if (!pending) return;
+    if (notifyHost) {
+      sendNotification("notifications/cancelled", {
+        requestId: id,
+        reason: reason,
+      });
+    }
+    pending.reject(
+      createRpcError(
+        { code: JSONRPC_REQUEST_CANCELLED, message: reason },
+        pending.method
+      )
+    );
   }
 
   function sendNotification(method, params) {
     if (tornDown) return;
-    if (!window.parent || window.parent === window) return;
+    if (!hasHost()) return;
 
     var message = {
       jsonrpc: "2.0",
@@ -250,21 +1375,29 @@
       message.params = params;
     }
 
-    window.parent.postMessage(message, "*");
+    postToHost(message);
+  }
+
+  function sendErrorResponse(id, code, message, data) {
+    if (tornDown) return;
+    if (!hasHost()) return;
+
+    var error = { code: code, message: message };
+    if (data !== undefined) {
+      error.data = data;
+    }
+    postToHost({ jsonrpc: "2.0", id: id, error: error });
   }
 
   function sendResponse(id, result) {
     if (tornDown) return;
-    if (!window.parent || window.parent === window) return;
+    if (!hasHost()) return;
 
-    window.parent.postMessage(
-      {
-        jsonrpc: "2.0",
-        id: id,
-        result: result || {},
-      },
-      "*"
-    );
+    postToHost({
+      jsonrpc: "2.0",
+      id: id,
+      result: result || {},
+    });
   }
 
   // ---------------------------------------------------------------------------
@@ -342,7 +1475,11 @@
   }
 
   function callServerTools(inputs, changedInputNames) {
-    if (!config.tools || config.tools.length === 0) return;
+    if (disabled || !config.tools || config.tools.length === 0) return;
+    if (!hostSupports("serverTools")) {
+      warnNoServerTools();
+      return;
+    }
 
     var toolNames = findAffectedTools(changedInputNames);
     if (changedInputNames && toolNames.length === 0) {
@@ -352,24 +1489,75 @@
           "' did not map to any tool. Check toolArgs configuration."
       );
     }
-    for (var i = 0; i < toolNames.length; i++) {
-      callSingleTool(toolNames[i], collectToolInputs(toolNames[i], inputs));
+    for (var i = 0; i < toolNames.length; i++) {
+      callSingleTool(toolNames[i], collectToolInputs(toolNames[i], inputs));
+    }
+  }
+
+  // toolName -> id of the most recent tools/call request still in flight
+  var latestToolRequests = {};
+  var busyTools = {};
+
+  function setToolBusy(toolName, busy) {
+    if (busy) {
+      busyTools[toolName] = true;
+    } else {
+      delete busyTools[toolName];
+    }
+    if (Object.keys(busyTools).length > 0) {
+      document.documentElement.setAttribute("data-shinymcp-busy", "true");
+    } else {
+      document.documentElement.removeAttribute("data-shinymcp-busy");
     }
+    refreshOutputBusyStates();
+  }
+
+  // Drop the in-flight request for a tool, telling the host when the bridge
+  // is the one giving up on it.
+  function cancelToolCall(toolName, reason, notifyHost) {
+    var requestId = latestToolRequests[toolName];
+    if (requestId === undefined) return;
+    delete latestToolRequests[toolName];
+    cancelRequest(requestId, reason, notifyHost);
+    setToolBusy(toolName, false);
   }
 
   function callSingleTool(toolName, args) {
+    // A newer call supersedes any request for the same tool still in flight,
+    // so a slow earlier result can never overwrite this one.
+    cancelToolCall(toolName, "Superseded by a newer tools/call", true);
+
     var promise = sendRequest("tools/call", {
       name: toolName,
       arguments: args,
     });
 
     if (promise) {
+      var requestId = promise.requestId;
+      latestToolRequests[toolName] = requestId;
+      setToolBusy(toolName, true);
+
       promise.then(function (result) {
-        handleToolResult(result);
+        if (latestToolRequests[toolName] !== requestId) return;
+        delete latestToolRequests[toolName];
+        setToolBusy(toolName, false);
+        handleToolResult(result, toolName);
       })["catch"](function (err) {
+        if (err && err.code === JSONRPC_REQUEST_CANCELLED) return;
+        if (latestToolRequests[toolName] === requestId) {
+          delete latestToolRequests[toolName];
+          setToolBusy(toolName, false);
+          markOutputsError(
+            findToolOutputs(toolName),
+            (err && err.message) || "Tool call failed"
+          );
+        }
         console.error(
-          "[shinymcp-bridge] Tool call failed for '" + toolName + "':",
-          err
+          "[shinymcp-bridge] Tool call failed for '" + toolName + "'" +
+            (err && err.code != null ? " (code " + err.code + ")" : "") +
+            ":",
+          err && err.message ? err.message : err,
+          err && err.data != null ? err.data : ""
         );
       });
     }
@@ -378,6 +1566,17 @@
   // ---------------------------------------------------------------------------
   // Input change handling
   // ---------------------------------------------------------------------------
+  // Argument name for an element that is itself a tracked input
+  function argNameForElement(el) {
+    var explicit = el.getAttribute("data-shinymcp-input");
+    if (explicit) return explicit;
+    var cacheKeys = Object.keys(inputCache);
+    for (var i = 0; i < cacheKeys.length; i++) {
+      if (inputCache[cacheKeys[i]] === el) return cacheKeys[i];
+    }
+    return null;
+  }
+
   function onInputChanged(event) {
     // Check if the changed element is a tracked input (cached or explicit)
     var changedArgName = null;
@@ -404,12 +1603,15 @@
       if (!changedArgName) return;
     }
 
+    handleInputChange(changedArgName);
+  }
+
+  function handleInputChange(changedArgName) {
+    if (disabled) return;
     var inputs = collectAllInputs();
 
     // Update model context with current input values
-    sendNotification("ui/update-model-context", {
-      structuredContent: inputs,
-    });
+    updateModelContext();
 
     // Accumulate changed input names across debounce intervals so rapid
     // changes to inputs in different tool groups all trigger their tools.
@@ -434,10 +1636,44 @@
     }
   }
 
+  // File inputs report a change only once their contents are encoded
+  function onFileInputChanged(event) {
+    var el = event.target;
+    readFileInput(el).then(
+      function () {
+        onInputChanged(event);
+      },
+      function (err) {
+        console.error("[shinymcp-bridge] Could not read file input:", err);
+      }
+    );
+  }
+
   function attachListenerToElement(el) {
+    var binding = inputBindingFor(el);
+    if (binding) {
+      var unsubscribe = subscribeBinding(binding, el, function () {
+        var argName = argNameForElement(el);
+        if (argName) handleInputChange(argName);
+      });
+      inputListeners.push({ element: el, unsubscribe: unsubscribe });
+      return;
+    }
+
+    el = inputGroupRoot(el);
     var tag = el.tagName.toLowerCase();
     var type = (el.getAttribute("type") || "").toLowerCase();
 
+    if (type === "file") {
+      el.addEventListener("change", onFileInputChanged);
+      inputListeners.push({
+        element: el,
+        event: "change",
+        handler: onFileInputChanged,
+      });
+      return;
+    }
+
     var events = [];
     if (
       tag === "select" ||
@@ -451,11 +1687,8 @@
       events.push("change");
     } else if (tag === "button" || type === "button" || type === "submit") {
       events.push("click");
-    } else if (
-      (tag === "div" || tag === "fieldset") &&
-      el.querySelector('input[type="radio"]')
-    ) {
-      // Radio-group container: listen for change events bubbling up
+    } else if (groupKind(el)) {
+      // Group container: listen for change events bubbling up
       events.push("change");
     } else {
       events.push("change");
@@ -464,7 +1697,11 @@
 
     for (var j = 0; j < events.length; j++) {
       el.addEventListener(events[j], onInputChanged);
-      inputListeners.push({ element: el, event: events[j] });
+      inputListeners.push({
+        element: el,
+        event: events[j],
+        handler: onInputChanged,
+      });
     }
   }
 
@@ -491,11 +1728,35 @@
     // Bind explicit data-shinymcp-input elements (backward compat)
     var elements = document.querySelectorAll("[data-shinymcp-input]");
     for (var j = 0; j < elements.length; j++) {
-      if (!isBound(elements[j])) {
-        attachListenerToElement(elements[j]);
-        bound.push(elements[j]);
+      var explicitEl = inputBindingFor(elements[j])
+        ? elements[j]
+        : inputGroupRoot(elements[j]);
+      if (!isBound(explicitEl)) {
+        attachListenerToElement(explicitEl);
+        bound.push(explicitEl);
+      }
+    }
+  }
+
+  function detachInputListeners() {
+    for (var i = 0; i < inputListeners.length; i++) {
+      var entry = inputListeners[i];
+      if (entry.unsubscribe) {
+        entry.unsubscribe();
+      } else if (entry.handler) {
+        entry.element.removeEventListener(entry.event, entry.handler);
       }
     }
+    inputListeners = [];
+  }
+
+  // Re-run detection after bindings change, once the bridge has started
+  function refreshInputs() {
+    if (!started || tornDown) return;
+    detachInputListeners();
+    buildInputCache();
+    argToToolsMap = buildArgToToolsMap();
+    attachInputListeners();
   }
 
   // ---------------------------------------------------------------------------
@@ -507,12 +1768,19 @@
     var data = event.data;
     if (!data || data.jsonrpc !== "2.0") return;
 
-    // Handle responses to our requests
-    if (data.id !== undefined && data.result !== undefined) {
-      var resolve = pendingRequests[data.id];
-      if (resolve) {
-        delete pendingRequests[data.id];
-        resolve(data.result);
+    // Handle responses (results and errors) to our requests
+    if (
+      data.id !== undefined &&
+      !data.method &&
+      (data.result !== undefined || data.error !== undefined)
+    ) {
+      var pending = settleRequest(data.id);
+      if (!pending) return;
+      if (pending.method === "ui/initialize") adoptHostChannel(event);
+      if (data.error !== undefined) {
+        pending.reject(createRpcError(data.error, pending.method));
+      } else {
+        pending.resolve(data.result);
       }
       return;
     }
@@ -526,7 +1794,11 @@
         break;
 
       case "ui/notifications/tool-input":
-        handleToolInput(data.params);
+        if (partialArguments !== null) {
+          finishToolInputStream(data.params);
+        } else {
+          handleToolInput(data.params);
+        }
         break;
 
       case "ui/notifications/trigger-tool-call":
@@ -538,9 +1810,7 @@
 
       case "ui/notifications/reset":
         handleToolInput({ arguments: initialInputSnapshot });
-        sendNotification("ui/update-model-context", {
-          structuredContent: collectAllInputs(),
-        });
+        updateModelContext();
         if (
           currentTriggerMode() === "change" ||
           currentTriggerMode() === "debounce"
@@ -550,16 +1820,31 @@
         break;
 
       case "ui/notifications/tool-input-partial":
-        // Streaming partial input - could update UI progressively
+        handleToolInputPartial(data.params);
         break;
 
       case "ui/notifications/tool-cancelled":
-        // Tool was cancelled
+        // The host cancelled a tool: end any argument stream, then clear its
+        // loading state (or every tool's when no name is given) without
+        // echoing a cancellation.
+        abandonToolInputStream();
+        var cancelled =
+          data.params && data.params.name
+            ? [data.params.name]
+            : Object.keys(latestToolRequests);
+        for (var c = 0; c < cancelled.length; c++) {
+          cancelToolCall(
+            cancelled[c],
+            (data.params && data.params.reason) || "Cancelled by host",
+            false
+          );
+        }
         break;
 
       case "ui/notifications/host-context-changed":
-        if (data.params) {
-          hostContext = data.params;
+        if (data.params && typeof data.params === "object") {
+          hostContext = mergeHostContext(data.params);
+          applyHostContext(data.params);
         }
         break;
 
@@ -570,11 +1855,21 @@
         break;
 
       default:
+        // Unknown requests still need an answer so the host does not hang
+        if (data.id !== undefined) {
+          sendErrorResponse(
+            data.id,
+            JSONRPC_METHOD_NOT_FOUND,
+            "Method not found: " + data.method
+          );
+        }
         break;
     }
   }
 
-  function handleToolResult(params) {
+  // Render a tool result into the outputs. toolName is known for results of
+  // the bridge's own tools/call requests and absent for host-pushed results.
+  function handleToolResult(params, toolName) {
     if (!params) return;
 
     var content = params.content;
@@ -588,27 +1883,46 @@
       }
     }
 
+    // Errors go to the inline error area; the last good value stays put
+    if (params.isError) {
+      markOutputsError(findToolOutputs(toolName), textContent || "Tool error");
+      return;
+    }
+
+    var updated = [];
+
     // Try to parse as structured content and update outputs
     if (params.structuredContent && typeof params.structuredContent === "object") {
       var singleResult = params.structuredContent.__shinymcp_result__;
-      if (singleResult && typeof singleResult === "object") {
-        var singleOutputs = document.querySelectorAll("[data-shinymcp-output]");
-        if (singleOutputs.length === 1) {
-          updateOutput(
-            singleOutputs[0].getAttribute("data-shinymcp-output"),
-            singleResult.value,
-            singleResult.type
-          );
-          return;
-        }
-      }
-
-      var keys = Object.keys(params.structuredContent);
-      for (var j = 0; j < keys.length; j++) {
-        if (keys[j] === "__shinymcp_result__") {
-          continue;
+      var singleOutputs = document.querySelectorAll("[data-shinymcp-output]");
+      if (
+        singleResult &&
+        typeof singleResult === "object" &&
+        singleOutputs.length === 1
+      ) {
+        var singleId = singleOutputs[0].getAttribute("data-shinymcp-output");
+        updateOutput(
+          singleId,
+          singleResult.value,
+          singleResult.type,
+          singleResult
+        );
+        updated.push(singleId);
+      } else {
+        var keys = Object.keys(params.structuredContent);
+        for (var j = 0; j < keys.length; j++) {
+          if (keys[j] === "__shinymcp_result__") {
+            continue;
+          }
+          var entry = params.structuredContent[keys[j]];
+          // Typed entries ({ type, value, ... }) carry their own renderer
+          if (entry && typeof entry === "object" && typeof entry.type === "string") {
+            updateOutput(keys[j], entry.value, entry.type, entry);
+          } else {
+            updateOutput(keys[j], entry);
+          }
+          if (outputElement(keys[j])) updated.push(keys[j]);
         }
-        updateOutput(keys[j], params.structuredContent[keys[j]]);
       }
     } else if (textContent) {
       // Update all text outputs with the raw text result
@@ -621,7 +1935,71 @@
           textContent,
           outputType
         );
+        updated.push(outputs[0].getAttribute("data-shinymcp-output"));
+      }
+    }
+
+    if (toolName && updated.length > 0) {
+      learnedToolOutputs[toolName] = updated;
+    }
+    markOutputsReady(toolName ? findToolOutputs(toolName) : updated);
+  }
+
+  // Resolve the element for a tool argument: cache first, then explicit attribute
+  function resolveToolInputElement(inputId) {
+    return inputGroupRoot(
+      inputCache[inputId] ||
+        document.querySelector(
+          '[data-shinymcp-input="' + cssEscape(inputId) + '"]'
+        )
+    );
+  }
+
+  // Inverse of getInputValue(): arrays for multi-selects and checkbox
+  // groups, [start, end] for date ranges, { name, type, data } for files
+  function setInputValue(el, value) {
+    var binding = inputBindingFor(el);
+    if (binding) {
+      if (typeof binding.setValue === "function") binding.setValue(el, value);
+      return;
+    }
+    el = inputGroupRoot(el);
+    var tag = el.tagName.toLowerCase();
+    var type = (el.getAttribute("type") || "").toLowerCase();
+    var kind = groupKind(el);
+
+    if (kind === "radio") {
+      var radios = el.querySelectorAll('input[type="radio"]');
+      for (var j = 0; j < radios.length; j++) {
+        radios[j].checked = radios[j].value === String(value);
+      }
+    } else if (kind === "checkbox") {
+      var boxes = el.querySelectorAll('input[type="checkbox"]');
+      var wanted = toArray(value);
+      for (var b = 0; b < boxes.length; b++) {
+        boxes[b].checked = containsValue(wanted, boxes[b].value);
       }
+    } else if (kind === "daterange" || kind === "date") {
+      var dates = dateInputsOf(el);
+      var range = kind === "daterange" ? toArray(value) : [value];
+      for (var d = 0; d < dates.length && d < range.length; d++) {
+        dates[d].value = normalizeDate(range[d]) || "";
+      }
+    } else if (tag === "select" && el.multiple) {
+      var chosen = toArray(value);
+      for (var o = 0; o < el.options.length; o++) {
+        el.options[o].selected = containsValue(chosen, el.options[o].value);
+      }
+    } else if (type === "checkbox") {
+      el.checked = !!value;
+    } else if (type === "file") {
+      setFileInputValue(el, value);
+    } else if (type === "color") {
+      el.value = normalizeColor(value) || "#000000";
+    } else if (tag === "input" && isDateInput(el)) {
+      el.value = normalizeDate(value) || "";
+    } else if (tag === "select" || tag === "input" || tag === "textarea") {
+      el.value = value;
     }
   }
 
@@ -632,31 +2010,556 @@
     var args = params.arguments;
     var keys = Object.keys(args);
     for (var i = 0; i < keys.length; i++) {
-      var inputId = keys[i];
-      var value = args[inputId];
-
-      // Try cache first, then explicit attribute
-      var el = inputCache[inputId] ||
-        document.querySelector('[data-shinymcp-input="' + inputId + '"]');
-      if (!el) continue;
+      var el = resolveToolInputElement(keys[i]);
+      if (el) setInputValue(el, args[keys[i]]);
+    }
+  }
 
-      var tag = el.tagName.toLowerCase();
-      var type = (el.getAttribute("type") || "").toLowerCase();
+  // ---------------------------------------------------------------------------
+  // Streaming tool input: ui/notifications/tool-input-partial
+  // ---------------------------------------------------------------------------
+  // While a model streams tool arguments the controls fill in live and stay
+  // locked; the final ui/notifications/tool-input unlocks them and calls the
+  // affected tools. A stream the host abandons (ui/notifications/
+  // tool-cancelled, or no partial for config.inputStreamIdleMs) unlocks
+  // them with whatever arrived.
+  var DEFAULT_INPUT_STREAM_IDLE_MS = 15000;
+  var partialArguments = null; // arguments streamed so far, null when idle
+  var lockedControls = [];
+  var streamIdleTimer = null;
+
+  // Parse possibly truncated JSON such as '{"species": "Ade'. Open strings,
+  // arrays and objects are closed; incomplete trailing members are dropped.
+  function parsePartialJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // fall through to repair
+    }
 
-      // Radio-group container
-      if (
-        (tag === "div" || tag === "fieldset") &&
-        el.querySelector('input[type="radio"]')
-      ) {
-        var radios = el.querySelectorAll('input[type="radio"]');
-        for (var j = 0; j < radios.length; j++) {
-          radios[j].checked = radios[j].value === String(value);
+    function close(prefix) {
+      var stack = [];
+      var inString = false;
+      var escaped = false;
+      for (var i = 0; i < prefix.length; i++) {
+        var ch = prefix.charAt(i);
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === "\\") escaped = true;
+          else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+          inString = true;
+        } else if (ch === "{") {
+          stack.push("}");
+        } else if (ch === "[") {
+          stack.push("]");
+        } else if (ch === "}" || ch === "]") {
+          stack.pop();
         }
-      } else if (type === "checkbox") {
-        el.checked = !!value;
-      } else if (tag === "select" || tag === "input" || tag === "textarea") {
-        el.value = value;
       }
+      if (inString) {
+        if (escaped) prefix = prefix.slice(0, -1);
+        prefix += '"';
+      }
+      return prefix + stack.reverse().join("");
+    }
+
+    // Cut back until the repaired prefix parses, bounded for long fragments
+    var minEnd = Math.max(1, text.length - 512);
+    for (var end = text.length; end >= minEnd; end--) {
+      var prefix = text.slice(0, end).replace(/[\s,:]+$/, "");
+      if (!prefix) break;
+      try {
+        return JSON.parse(close(prefix));
+      } catch (e2) {
+        // keep cutting
+      }
+    }
+    return null;
+  }
+
+  function isPlainObject(x) {
+    return !!x && typeof x === "object" && !Array.isArray(x);
+  }
+
+  // Merge streamed arguments without letting keys such as __proto__ reach
+  // the prototype chain
+  function mergeArguments(target, source) {
+    var keys = Object.keys(source);
+    for (var i = 0; i < keys.length; i++) {
+      var key = keys[i];
+      if (key === "__proto__" || key === "constructor" || key === "prototype") {
+        continue;
+      }
+      if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+        mergeArguments(target[key], source[key]);
+      } else {
+        target[key] = source[key];
+      }
+    }
+    return target;
+  }
+
+  function formControlsOf(el) {
+    var tag = el.tagName.toLowerCase();
+    if (
+      tag === "input" ||
+      tag === "select" ||
+      tag === "textarea" ||
+      tag === "button"
+    ) {
+      return [el];
+    }
+    return el.querySelectorAll("input, select, textarea, button");
+  }
+
+  function lockInputs() {
+    if (lockedControls.length > 0) return;
+    var seen = [];
+    var roots = [];
+    var cacheKeys = Object.keys(inputCache);
+    for (var i = 0; i < cacheKeys.length; i++) {
+      roots.push(inputCache[cacheKeys[i]]);
+    }
+    var explicit = document.querySelectorAll("[data-shinymcp-input]");
+    for (var j = 0; j < explicit.length; j++) {
+      roots.push(explicit[j]);
+    }
+
+    for (var r = 0; r < roots.length; r++) {
+      roots[r].setAttribute("data-shinymcp-streaming", "true");
+      roots[r].setAttribute("aria-busy", "true");
+      var controls = formControlsOf(roots[r]);
+      for (var k = 0; k < controls.length; k++) {
+        if (seen.indexOf(controls[k]) !== -1) continue;
+        seen.push(controls[k]);
+        lockedControls.push({
+          root: roots[r],
+          element: controls[k],
+          wasDisabled: controls[k].disabled,
+        });
+        controls[k].disabled = true;
+      }
+    }
+    document.documentElement.setAttribute("data-shinymcp-input-streaming", "true");
+  }
+
+  function unlockInputs() {
+    for (var i = 0; i < lockedControls.length; i++) {
+      var entry = lockedControls[i];
+      entry.element.disabled = entry.wasDisabled;
+      entry.root.removeAttribute("data-shinymcp-streaming");
+      entry.root.removeAttribute("aria-busy");
+    }
+    lockedControls = [];
+    document.documentElement.removeAttribute("data-shinymcp-input-streaming");
+  }
+
+  function readStreamedArguments(params) {
+    if (!params) return null;
+    var args = params.arguments;
+    if (typeof args === "string") args = parsePartialJson(args);
+    return isPlainObject(args) ? args : null;
+  }
+
+  function currentInputStreamIdleMs() {
+    return typeof config.inputStreamIdleMs === "number"
+      ? config.inputStreamIdleMs
+      : DEFAULT_INPUT_STREAM_IDLE_MS;
+  }
+
+  function clearStreamIdleTimer() {
+    if (streamIdleTimer) clearTimeout(streamIdleTimer);
+    streamIdleTimer = null;
+  }
+
+  // Leave the controls as the stream left them, editable again
+  function abandonToolInputStream() {
+    if (partialArguments === null) return;
+    clearStreamIdleTimer();
+    partialArguments = null;
+    unlockInputs();
+  }
+
+  function handleToolInputPartial(params) {
+    var args = readStreamedArguments(params);
+    if (partialArguments === null) partialArguments = {};
+    lockInputs();
+    clearStreamIdleTimer();
+    var idleMs = currentInputStreamIdleMs();
+    if (idleMs > 0) {
+      streamIdleTimer = setTimeout(function () {
+        streamIdleTimer = null;
+        console.warn(
+          "[shinymcp-bridge] Tool input stream went quiet; unlocking inputs"
+        );
+        abandonToolInputStream();
+      }, idleMs);
+    }
+    if (!args) return;
+    mergeArguments(partialArguments, args);
+    handleToolInput({ arguments: partialArguments });
+  }
+
+  // The final tool-input after a stream: apply it, unlock and run the tools
+  function finishToolInputStream(params) {
+    var args = mergeArguments(
+      partialArguments || {},
+      readStreamedArguments(params) || {}
+    );
+    partialArguments = null;
+    clearStreamIdleTimer();
+    unlockInputs();
+    handleToolInput({ arguments: args });
+
+    var inputs = collectAllInputs();
+    updateModelContext();
+    var changed = Object.keys(args);
+    callServerTools(inputs, changed.length > 0 ? changed : null);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Host context: theme, styles, fonts, locale and display mode
+  // ---------------------------------------------------------------------------
+  // The host's context is reflected onto <html> as data-shinymcp-theme,
+  // data-shinymcp-display-mode and lang, plus --shinymcp-* custom properties
+  // that the default component styles read. The host's own style variables
+  // are applied verbatim as well.
+  var HOST_STYLE_VARIABLES = {
+    "--shinymcp-bg": "--color-background-primary",
+    "--shinymcp-surface": "--color-background-secondary",
+    "--shinymcp-fg": "--color-text-primary",
+    "--shinymcp-muted": "--color-text-secondary",
+    "--shinymcp-border": "--color-border-primary",
+    "--shinymcp-accent": "--color-ring-primary",
+    "--shinymcp-font-family": "--font-sans",
+    "--shinymcp-font-mono": "--font-mono",
+  };
+  var appliedStyleVariables = [];
+
+  function applyStyleVariables(variables) {
+    var root = document.documentElement;
+    for (var i = 0; i < appliedStyleVariables.length; i++) {
+      root.style.removeProperty(appliedStyleVariables[i]);
+    }
+    appliedStyleVariables = [];
+    if (!variables || typeof variables !== "object") return;
+
+    function set(name, value) {
+      if (name.indexOf("--") !== 0 || value == null || value === "") return;
+      root.style.setProperty(name, String(value));
+      appliedStyleVariables.push(name);
+    }
+
+    var names = Object.keys(variables);
+    for (var j = 0; j < names.length; j++) {
+      set(names[j], variables[names[j]]);
+    }
+    var aliases = Object.keys(HOST_STYLE_VARIABLES);
+    for (var k = 0; k < aliases.length; k++) {
+      set(aliases[k], variables[HOST_STYLE_VARIABLES[aliases[k]]]);
+    }
+  }
+
+  function applyHostFonts(fonts) {
+    var style = document.getElementById("shinymcp-host-fonts");
+    if (!fonts) {
+      if (style) style.parentNode.removeChild(style);
+      return;
+    }
+    if (!style) {
+      style = document.createElement("style");
+      style.id = "shinymcp-host-fonts";
+      (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = String(fonts);
+  }
+
+  function applyHostContext(ctx) {
+    if (!ctx || typeof ctx !== "object") return;
+    var root = document.documentElement;
+
+    if (ctx.theme === "light" || ctx.theme === "dark") {
+      root.setAttribute("data-shinymcp-theme", ctx.theme);
+      // Bootstrap 5.3+ (bslib) pages restyle themselves from data-bs-theme
+      root.setAttribute("data-bs-theme", ctx.theme);
+      root.style.colorScheme = ctx.theme;
+    }
+
+    if (ctx.styles && typeof ctx.styles === "object") {
+      applyStyleVariables(ctx.styles.variables);
+      applyHostFonts(ctx.styles.css && ctx.styles.css.fonts);
+    }
+
+    if (typeof ctx.locale === "string" && ctx.locale) {
+      root.setAttribute("lang", ctx.locale);
+      root.setAttribute("data-shinymcp-locale", ctx.locale);
+    }
+
+    if (typeof ctx.displayMode === "string" && ctx.displayMode) {
+      root.setAttribute("data-shinymcp-display-mode", ctx.displayMode);
+    }
+  }
+
+  // host-context-changed carries only the fields that changed
+  function mergeHostContext(changes) {
+    var merged = {};
+    var previous = hostContext || {};
+    var keys = Object.keys(previous);
+    for (var i = 0; i < keys.length; i++) merged[keys[i]] = previous[keys[i]];
+    keys = Object.keys(changes);
+    for (var j = 0; j < keys.length; j++) merged[keys[j]] = changes[keys[j]];
+    return merged;
+  }
+
+  // ---------------------------------------------------------------------------
+  // App-initiated requests: chat messages, links, resources and logging
+  // ---------------------------------------------------------------------------
+  var LOG_LEVELS = [
+    "debug",
+    "info",
+    "notice",
+    "warning",
+    "error",
+    "critical",
+    "alert",
+    "emergency",
+  ];
+
+  // Like sendRequest(), but always a promise for the public API, rejected
+  // up front when the host did not declare the capability
+  function hostRequest(method, params, capability) {
+    if (!hostSupports(capability)) {
+      return Promise.reject(
+        createRpcError(
+          {
+            code: JSONRPC_METHOD_NOT_FOUND,
+            message: "Host does not support " + method,
+          },
+          method
+        )
+      );
+    }
+    return (
+      sendRequest(method, params) ||
+      Promise.reject(
+        createRpcError({ message: "No MCP host to handle '" + method + "'" }, method)
+      )
+    );
+  }
+
+  // Ask the host to post a message to the conversation. `content` is a
+  // string or MCP content block(s).
+  function sendMessage(content, role) {
+    var blocks;
+    if (typeof content === "string") {
+      blocks = [{ type: "text", text: content }];
+    } else {
+      blocks = Array.isArray(content) ? content : [content];
+    }
+    return hostRequest(
+      "ui/message",
+      { role: role || "user", content: blocks },
+      "message"
+    );
+  }
+
+  function openLink(url) {
+    return hostRequest("ui/open-link", { url: String(url) }, "openLinks");
+  }
+
+  // Shiny hosts serve only the app's own ui:// resource and answer other URIs
+  // with -32002 (resource not found); other hosts may serve more
+  function readResource(uri) {
+    return hostRequest("resources/read", { uri: String(uri) }, "serverResources");
+  }
+
+  // Ask to be shown "inline", "fullscreen" or "pip". Resolves with the mode
+  // the host settled on, which may not be the one asked for.
+  function requestDisplayMode(mode) {
+    var modes = hostCapabilities && hostCapabilities.availableDisplayModes;
+    if (Array.isArray(modes) && modes.indexOf(mode) === -1) {
+      return Promise.reject(
+        createRpcError(
+          {
+            code: JSONRPC_METHOD_NOT_FOUND,
+            message: "Host does not support display mode '" + mode + "'",
+          },
+          "ui/request-display-mode"
+        )
+      );
+    }
+    return hostRequest(
+      "ui/request-display-mode",
+      { mode: String(mode) },
+      "availableDisplayModes"
+    ).then(function (result) {
+      return result && result.mode;
+    });
+  }
+
+  function log(level, data, logger) {
+    if (!hostSupports("logging")) return;
+    if (LOG_LEVELS.indexOf(level) === -1) level = "info";
+    sendNotification("notifications/message", {
+      level: level,
+      logger: logger || config.appName || "shinymcp-app",
+      data: data,
+    });
+  }
+
+  // Show the first entry of a resources/read result in an output
+  function renderResourceContents(outputId, result) {
+    var contents = (result && result.contents) || [];
+    var first = contents[0];
+    if (!first) return;
+    var mimeType = first.mimeType || "";
+    if (typeof first.text === "string") {
+      updateOutput(
+        outputId,
+        first.text,
+        /^text\/html/.test(mimeType) ? "html" : null
+      );
+    } else if (typeof first.blob === "string") {
+      var type = /^image\//.test(mimeType)
+        ? "image"
+        : mimeType === "application/pdf"
+          ? "pdf"
+          : null;
+      if (!type) {
+        console.warn(
+          "[shinymcp-bridge] Cannot render resource of type '" + mimeType + "'"
+        );
+        return;
+      }
+      updateOutput(outputId, first.blob, type, {
+        value: first.blob,
+        mimeType: mimeType,
+      });
+    }
+    markOutputsReady([outputId]);
+  }
+
+  // Declarative actions on buttons and links:
+  //   data-shinymcp-action="message"        data-shinymcp-message="..." (or text)
+  //   data-shinymcp-action="open-link"      href or data-shinymcp-url
+  //   data-shinymcp-action="read-resource"  data-shinymcp-uri, data-shinymcp-target
+  //   data-shinymcp-action="display-mode"   data-shinymcp-mode
+  function runAction(el) {
+    var action = el.getAttribute("data-shinymcp-action");
+    switch (action) {
+      case "message":
+        return sendMessage(
+          el.getAttribute("data-shinymcp-message") ||
+            (el.textContent || "").replace(/^\s+|\s+$/g, "")
+        );
+      case "open-link":
+        return openLink(
+          el.getAttribute("data-shinymcp-url") || el.getAttribute("href") || ""
+        );
+      case "read-resource":
+        var target = el.getAttribute("data-shinymcp-target");
+        return readResource(el.getAttribute("data-shinymcp-uri") || "").then(
+          function (result) {
+            if (target) renderResourceContents(target, result);
+            return result;
+          }
+        );
+      case "display-mode":
+        return requestDisplayMode(el.getAttribute("data-shinymcp-mode") || "inline");
+      default:
+        console.warn("[shinymcp-bridge] Unknown data-shinymcp-action:", action);
+        return null;
+    }
+  }
+
+  var ACTION_CAPABILITIES = {
+    message: "message",
+    "open-link": "openLinks",
+    "read-resource": "serverResources",
+    "display-mode": "availableDisplayModes",
+  };
+
+  // Disable declarative actions the host cannot serve
+  function applyActionAvailability() {
+    var els = document.querySelectorAll("[data-shinymcp-action]");
+    for (var i = 0; i < els.length; i++) {
+      var capability = ACTION_CAPABILITIES[els[i].getAttribute("data-shinymcp-action")];
+      if (!capability || hostSupports(capability)) continue;
+      els[i].setAttribute("data-shinymcp-unsupported", "true");
+      els[i].setAttribute("aria-disabled", "true");
+      if ("disabled" in els[i]) els[i].disabled = true;
+    }
+  }
+
+  function onActionClick(event) {
+    var el = event.target.closest && event.target.closest("[data-shinymcp-action]");
+    if (!el || el.getAttribute("aria-busy") === "true") return;
+    event.preventDefault();
+    if (disabled || el.hasAttribute("data-shinymcp-unsupported")) return;
+
+    var pending = runAction(el);
+    if (!pending) return;
+    el.setAttribute("aria-busy", "true");
+    el.removeAttribute("data-shinymcp-action-error");
+    pending
+      .then(
+        function () {},
+        function (err) {
+          var message = err && err.message ? err.message : String(err);
+          el.setAttribute("data-shinymcp-action-error", message);
+          console.error(
+            "[shinymcp-bridge] Action '" +
+              el.getAttribute("data-shinymcp-action") +
+              "' failed:",
+            message
+          );
+        }
+      )
+      .then(function () {
+        el.removeAttribute("aria-busy");
+      });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Content security policy violations
+  // ---------------------------------------------------------------------------
+  // The host injects a CSP built from the app's resource policy. Each distinct
+  // blocked load is reported once so the host can surface it; reports raised
+  // before ui/initialize completes wait until the host is listening.
+  var reportedViolations = {};
+  var queuedViolations = []; // null once the host is listening
+
+  function onSecurityPolicyViolation(event) {
+    var params = {
+      blockedURI: event.blockedURI || "",
+      effectiveDirective: event.effectiveDirective || event.violatedDirective,
+      violatedDirective: event.violatedDirective,
+      sourceFile: event.sourceFile || null,
+      lineNumber: event.lineNumber || null,
+    };
+    var key = params.effectiveDirective + " " + params.blockedURI;
+    if (reportedViolations[key]) return;
+    reportedViolations[key] = true;
+
+    console.warn(
+      "[shinymcp-bridge] Blocked by content security policy (" +
+        params.effectiveDirective +
+        "):",
+      params.blockedURI || "inline content"
+    );
+    if (queuedViolations) {
+      queuedViolations.push(params);
+      return;
+    }
+    sendNotification("ui/notifications/csp-violation", params);
+  }
+
+  function flushViolations() {
+    var queued = queuedViolations || [];
+    queuedViolations = null;
+    for (var i = 0; i < queued.length; i++) {
+      sendNotification("ui/notifications/csp-violation", queued[i]);
     }
   }
 
@@ -667,16 +2570,35 @@
     if (tornDown) return;
     tornDown = true;
 
-    for (var i = 0; i < inputListeners.length; i++) {
-      var entry = inputListeners[i];
-      entry.element.removeEventListener(entry.event, onInputChanged);
+    detachInputListeners();
+    document.removeEventListener("click", onActionClick);
+    document.removeEventListener(
+      "securitypolicyviolation",
+      onSecurityPolicyViolation
+    );
+    clearStreamIdleTimer();
+    partialArguments = null;
+    unlockInputs();
+
+    // Clear request timers; nothing can answer once the view is torn down
+    var pendingIds = Object.keys(pendingRequests);
+    for (var k = 0; k < pendingIds.length; k++) {
+      var pending = settleRequest(pendingIds[k]);
+      if (pending) {
+        pending.reject(
+          createRpcError(
+            { code: JSONRPC_REQUEST_CANCELLED, message: "Bridge was torn down" },
+            pending.method
+          )
+        );
+      }
     }
-    inputListeners = [];
 
     if (messageHandler) {
       window.removeEventListener("message", messageHandler);
       messageHandler = null;
     }
+    closeHostChannel();
   }
 
   // ---------------------------------------------------------------------------
@@ -695,30 +2617,52 @@
     }
 
     // Set up postMessage listener
-    messageHandler = handleHostMessage;
+    messageHandler = onWindowMessage;
     window.addEventListener("message", messageHandler);
 
+    injectOutputStateStyles();
+
     // Build auto-detect cache and arg->tool reverse lookup, then attach listeners
     buildInputCache();
     argToToolsMap = buildArgToToolsMap();
     attachInputListeners();
+    document.addEventListener("click", onActionClick);
+    started = true;
 
     // Send ui/initialize request per MCP Apps spec
     // Fields must match McpUiInitializeRequestSchema exactly:
     // appInfo (not clientInfo), appCapabilities, protocolVersion
     var initPromise = sendRequest("ui/initialize", {
-      protocolVersion: "2025-06-18",
+      protocolVersion: currentProtocolVersion(),
       appInfo: {
         name: config.appName || "shinymcp-app",
         version: config.version || "0.0.1",
       },
-      appCapabilities: {},
+      appCapabilities: appCapabilities(),
     });
 
     // Handle initialize response
     if (initPromise) {
       initPromise.then(function (result) {
+        result = result || {};
+        if (!isSupportedProtocolVersion(result.protocolVersion)) {
+          var mismatch =
+            "This app speaks MCP Apps protocol " +
+            currentProtocolVersion() +
+            ", but the host answered with " +
+            (result.protocolVersion || "no protocol version") +
+            ". The app is disabled.";
+          console.error("[shinymcp-bridge] " + mismatch);
+          showBridgeError(mismatch);
+          disabled = true;
+          return;
+        }
+
+        hostCapabilities = readHostCapabilities(result.hostCapabilities);
+        applyActionAvailability();
+
         hostContext = result.hostContext || null;
+        applyHostContext(hostContext);
 
         if (
           hostContext &&
@@ -731,12 +2675,18 @@
 
         // Send initialized notification
         sendNotification("ui/notifications/initialized", {});
+        flushViolations();
 
         // Set up auto-resize notifications (like the official SDK)
         setupAutoResize();
 
         // Call all server tools with initial input values so outputs are populated
         callServerTools(collectAllInputs(), null);
+      })["catch"](function (err) {
+        console.error(
+          "[shinymcp-bridge] ui/initialize failed:",
+          err && err.message ? err.message : err
+        );
       });
     }
   }
@@ -789,9 +2739,24 @@
     observer.observe(document.body);
   }
 
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+  window.shinymcpBridge = window.shinymcpBridge || {};
+  window.shinymcpBridge.registerInputBinding = registerInputBinding;
+  window.shinymcpBridge.registerOutputBinding = registerOutputBinding;
+  window.shinymcpBridge.sendMessage = sendMessage;
+  window.shinymcpBridge.openLink = openLink;
+  window.shinymcpBridge.readResource = readResource;
+  window.shinymcpBridge.requestDisplayMode = requestDisplayMode;
+  window.shinymcpBridge.log = log;
+
   // ---------------------------------------------------------------------------
   // Start on DOMContentLoaded (or immediately if already loaded)
   // ---------------------------------------------------------------------------
+  // Listen for CSP violations right away so blocked loads in <head> are caught
+  document.addEventListener("securitypolicyviolation", onSecurityPolicyViolation);
+
   if (
     document.readyState === "complete" ||
     document.readyState === "interactive"
@@ -2,12 +2,25 @@
   "use strict";
 
   var PROTOCOL_VERSION = "2025-06-18";
+  var SUPPORTED_PROTOCOL_VERSIONS = [PROTOCOL_VERSION];
   var BUS_INPUT_ID = "shinymcp_host_event";
   var hosts = {};
   var pendingToolCalls = {};
   var domObserver = null;
+  var themeObserver = null;
   var DISCONNECT_DISPOSE_DELAY_MS = 1000;
 
+  var JSONRPC_INVALID_PARAMS = -32602;
+  var JSONRPC_METHOD_NOT_FOUND = -32601;
+  var JSONRPC_INTERNAL_ERROR = -32603;
+  var JSONRPC_REQUEST_CANCELLED = -32800;
+  var busRequestSeq = 0;
+  var DEFAULT_MAX_CONCURRENT_TOOL_CALLS = 2;
+  var DEFAULT_BUS_TIMEOUT_MS = 120000;
+  var DEFAULT_HISTORY_LIMIT = 50;
+  var SHINY_DISCONNECTED_MESSAGE = "Lost the connection to the R session.";
+  var shinyDisconnected = false;
+
   function jsonParse(text) {
     try {
       return JSON.parse(text);
@@ -82,6 +95,258 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // Host context read from the embedding page (theme, styles, locale)
+  // ---------------------------------------------------------------------------
+  function parseRgb(value) {
+    var match = /rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?/i.exec(
+      value || ""
+    );
+    if (!match) return null;
+    return {
+      r: parseFloat(match[1]),
+      g: parseFloat(match[2]),
+      b: parseFloat(match[3]),
+      a: match[4] != null ? parseFloat(match[4]) : 1,
+    };
+  }
+
+  // bslib's dark mode sets data-bs-theme on <html>; otherwise judge the page
+  // by the luminance of its background.
+  function readPageTheme() {
+    var root = document.documentElement;
+    var attr = root.getAttribute("data-bs-theme") || root.getAttribute("data-theme");
+    if (attr === "dark" || attr === "light") return attr;
+
+    var bg = document.body
+      ? parseRgb(window.getComputedStyle(document.body).backgroundColor)
+      : null;
+    if (!bg || bg.a === 0) return "light";
+    var luminance = (0.2126 * bg.r + 0.7152 * bg.g + 0.0722 * bg.b) / 255;
+    return luminance < 0.5 ? "dark" : "light";
+  }
+
+  function readPageStyles() {
+    var rootStyle = window.getComputedStyle(document.documentElement);
+    var bodyStyle = document.body
+      ? window.getComputedStyle(document.body)
+      : rootStyle;
+
+    function cssVar(name, fallback) {
+      var value = (rootStyle.getPropertyValue(name) || "").replace(/^\s+|\s+$/g, "");
+      return value || fallback || null;
+    }
+
+    var bodyBg = parseRgb(bodyStyle.backgroundColor);
+    var candidates = {
+      "--color-background-primary": cssVar(
+        "--bs-body-bg",
+        bodyBg && bodyBg.a > 0 ? bodyStyle.backgroundColor : null
+      ),
+      "--color-background-secondary": cssVar("--bs-secondary-bg"),
+      "--color-text-primary": cssVar("--bs-body-color", bodyStyle.color),
+      "--color-text-secondary": cssVar("--bs-secondary-color"),
+      "--color-border-primary": cssVar("--bs-border-color"),
+      "--color-ring-primary": cssVar("--bs-primary"),
+      "--font-sans": cssVar("--bs-body-font-family", bodyStyle.fontFamily),
+      "--font-mono": cssVar("--bs-font-monospace"),
+    };
+
+    var variables = {};
+    var names = Object.keys(candidates);
+    for (var i = 0; i < names.length; i++) {
+      if (candidates[names[i]]) variables[names[i]] = candidates[names[i]];
+    }
+    return { variables: variables };
+  }
+
+  function readPageContext() {
+    var timeZone = null;
+    try {
+      timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+      timeZone = null;
+    }
+    return {
+      theme: readPageTheme(),
+      styles: readPageStyles(),
+      locale:
+        document.documentElement.getAttribute("lang") ||
+        navigator.language ||
+        "en-US",
+      timeZone: timeZone,
+      platform: "web",
+    };
+  }
+
+  function mergeObjects() {
+    var out = {};
+    for (var i = 0; i < arguments.length; i++) {
+      var source = arguments[i];
+      if (!source || typeof source !== "object") continue;
+      var keys = Object.keys(source);
+      for (var j = 0; j < keys.length; j++) {
+        out[keys[j]] = source[keys[j]];
+      }
+    }
+    return out;
+  }
+
+  var contextRefreshScheduled = false;
+
+  function refreshAllHostContexts() {
+    if (contextRefreshScheduled) return;
+    contextRefreshScheduled = true;
+    setTimeout(function () {
+      contextRefreshScheduled = false;
+      var ids = Object.keys(hosts);
+      for (var i = 0; i < ids.length; i++) {
+        if (hosts[ids[i]]) hosts[ids[i]].refreshHostContext();
+      }
+    }, 0);
+  }
+
+  // Push theme changes on the Shiny page (e.g. bslib::input_dark_mode()) to
+  // every hosted app
+  function ensureThemeObserver() {
+    if (themeObserver || typeof MutationObserver === "undefined") return;
+    themeObserver = new MutationObserver(refreshAllHostContexts);
+    var options = {
+      attributes: true,
+      attributeFilter: ["data-bs-theme", "data-theme", "class", "style", "lang"],
+    };
+    themeObserver.observe(document.documentElement, options);
+    if (document.body) themeObserver.observe(document.body, options);
+
+    if (window.matchMedia) {
+      var query = window.matchMedia("(prefers-color-scheme: dark)");
+      if (typeof query.addEventListener === "function") {
+        query.addEventListener("change", refreshAllHostContexts);
+      } else if (typeof query.addListener === "function") {
+        query.addListener(refreshAllHostContexts);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Resource policy
+  // ---------------------------------------------------------------------------
+  // Hosted apps run in a sandbox without allow-same-origin, so they get an
+  // opaque origin and cannot reach the host page. A per-app resource policy
+  // ({ csp: { connectDomains, resourceDomains }, sandbox: [...] }, mirroring
+  // the MCP Apps _meta.ui.csp field) widens what the app may load; the CSP is
+  // injected into the srcdoc as a meta tag.
+
+  var DEFAULT_SANDBOX = ["allow-scripts"];
+
+  // Only bare source expressions: no whitespace, quotes, commas or semicolons
+  // that could smuggle in extra directives
+  function cspSources(list) {
+    if (!Array.isArray(list)) return [];
+    var sources = [];
+    for (var i = 0; i < list.length; i++) {
+      var source = list[i];
+      if (typeof source === "string" && /^[^\s;,'"<>]+$/.test(source)) {
+        sources.push(source);
+      }
+    }
+    return sources;
+  }
+
+  function buildContentSecurityPolicy(csp) {
+    csp = csp || {};
+    var connect = cspSources(csp.connectDomains);
+    var resources = cspSources(csp.resourceDomains);
+    var withResources = function (base) {
+      return base.concat(resources).join(" ");
+    };
+    // App HTML inlines the bridge, its config and widget code (htmlwidgets
+    // evaluates JS() options), so inline script and eval stay allowed
+    return [
+      "default-src 'none'",
+      "script-src " + withResources(["'unsafe-inline'", "'unsafe-eval'", "blob:"]),
+      "style-src " + withResources(["'unsafe-inline'"]),
+      "img-src " + withResources(["data:", "blob:"]),
+      "font-src " + withResources(["data:"]),
+      "media-src " + withResources(["data:", "blob:"]),
+      "connect-src " + (connect.length ? connect.join(" ") : "'none'"),
+      "frame-src data: blob:",
+      "worker-src blob:",
+      "object-src 'none'",
+      "base-uri 'none'",
+      "form-action 'none'",
+    ].join("; ");
+  }
+
+  function sandboxTokens(policy) {
+    var tokens = DEFAULT_SANDBOX.slice();
+    var extra = policy && Array.isArray(policy.sandbox) ? policy.sandbox : [];
+    for (var i = 0; i < extra.length; i++) {
+      var token = extra[i];
+      if (
+        typeof token === "string" &&
+        /^allow-[a-z-]+$/.test(token) &&
+        tokens.indexOf(token) === -1
+      ) {
+        tokens.push(token);
+      }
+    }
+    return tokens.join(" ");
+  }
+
+  // The meta tag must precede every script and stylesheet, so it goes first
+  // in <head> (or first in the document when there is no head)
+  function injectContentSecurityPolicy(html, policy) {
+    var tag =
+      '<meta http-equiv="Content-Security-Policy" content="' +
+      policy.replace(/&/g, "&amp;").replace(/"/g, "&quot;") +
+      '">';
+    var head = /<head(\s[^>]*)?>/i.exec(html);
+    if (head) {
+      var at = head.index + head[0].length;
+      return html.slice(0, at) + "\n" + tag + html.slice(at);
+    }
+    return tag + "\n" + html;
+  }
+
+  function describeViolation(params) {
+    var directive =
+      params.effectiveDirective || params.violatedDirective || "unknown";
+    var blocked = params.blockedURI || "inline content";
+    return (
+      "The app tried to load " +
+      blocked +
+      ", which its content security policy blocks (" +
+      directive +
+      ")."
+    );
+  }
+
+  // Apps may only open web and mail links, never javascript: or data: URLs
+  function isSafeLink(url) {
+    try {
+      var parsed = new URL(String(url), window.location.href);
+      return ["http:", "https:", "mailto:"].indexOf(parsed.protocol) !== -1;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Mirror notifications/message from an app onto the page console
+  function logAppMessage(instanceId, params) {
+    var level = params.level || "info";
+    var method =
+      level === "debug"
+        ? "debug"
+        : level === "info" || level === "notice"
+          ? "info"
+          : level === "warning"
+            ? "warn"
+            : "error";
+    var prefix = "[" + (params.logger || instanceId || "shinymcp-app") + "]";
+    (console[method] || console.log).call(console, prefix, params.data);
+  }
+
   function readContainerConfig(container) {
     var script = container.querySelector(".shinymcp-host-config");
     if (!script) return null;
@@ -105,6 +370,10 @@
     var fullscreen = container.querySelector(
       '[data-shinymcp-action="fullscreen"]'
     );
+    var pip = container.querySelector('[data-shinymcp-action="pip"]');
+    var undo = container.querySelector('[data-shinymcp-action="undo"]');
+    var redo = container.querySelector('[data-shinymcp-action="redo"]');
+    var timeline = container.querySelector("[data-shinymcp-history-timeline]");
 
     showControls(container, trigger);
 
@@ -128,15 +397,552 @@
       });
       fullscreen._shinymcpBound = true;
     }
+
+    if (pip && !pip._shinymcpBound) {
+      pip.addEventListener("click", function () {
+        host.togglePip();
+      });
+      pip._shinymcpBound = true;
+    }
+
+    if (undo && !undo._shinymcpBound) {
+      undo.addEventListener("click", function () {
+        host.undo();
+      });
+      undo._shinymcpBound = true;
+    }
+
+    if (redo && !redo._shinymcpBound) {
+      redo.addEventListener("click", function () {
+        host.redo();
+      });
+      redo._shinymcpBound = true;
+    }
+
+    // Scrubbing restores each step it passes; the tool call queue keeps
+    // only the newest call per tool waiting
+    if (timeline && !timeline._shinymcpBound) {
+      timeline.addEventListener("input", function () {
+        host.restoreHistory(timeline.value);
+      });
+      timeline._shinymcpBound = true;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transports
+  // ---------------------------------------------------------------------------
+  // A transport carries the host's server-bound traffic so callers need not
+  // write callTool/readResource themselves: createHost({ transport }) uses
+  // its callTool(request), cancelTool(request, reason) and readResource(params).
+  // MCP transports also offer connect(), request(method, params) and close(),
+  // which let createHost() load the app's ui:// resource from the server.
+  var transportRequestSeq = 0;
+
+  function noop() {}
+
+  function newAbortController() {
+    return typeof AbortController === "function" ? new AbortController() : null;
+  }
+
+  function httpError(res) {
+    return new Error(
+      "HTTP " + res.status + (res.statusText ? " " + res.statusText : "")
+    );
+  }
+
+  // Plain fetch: POST { name, arguments } to opts.url and read back the tool
+  // result as JSON, the shape preview_app() serves at /tool
+  function fetchTransport(opts) {
+    opts = opts || {};
+    var controllers = {};
+
+    return {
+      callTool: function (request) {
+        var controller = newAbortController();
+        if (controller) controllers[request.requestId] = controller;
+        return fetch(opts.url, {
+          method: "POST",
+          headers: mergeObjects(
+            { "Content-Type": "application/json" },
+            opts.headers
+          ),
+          body: JSON.stringify({
+            name: request.name,
+            arguments: request.arguments || {},
+          }),
+          signal: controller ? controller.signal : undefined,
+        })
+          .then(function (res) {
+            if (!res.ok) throw httpError(res);
+            return res.json();
+          })
+          .then(
+            function (result) {
+              delete controllers[request.requestId];
+              return result;
+            },
+            function (err) {
+              delete controllers[request.requestId];
+              throw err;
+            }
+          );
+      },
+      cancelTool: function (request) {
+        var controller = controllers[request.requestId];
+        if (!controller) return;
+        delete controllers[request.requestId];
+        controller.abort();
+      },
+    };
+  }
+
+  // One JSON-RPC message from an SSE event block ("data:" lines joined)
+  function parseEventData(block) {
+    var data = [];
+    var lines = block.split("\n");
+    for (var i = 0; i < lines.length; i++) {
+      if (lines[i].indexOf("data:") === 0) {
+        data.push(lines[i].slice(5).replace(/^ /, ""));
+      }
+    }
+    return data.length > 0 ? jsonParse(data.join("\n")) : null;
+  }
+
+  // MCP Streamable HTTP: every JSON-RPC message is POSTed to opts.url, and
+  // the server answers with either a JSON body or an SSE stream that carries
+  // the response (plus any server notifications, passed to opts.onMessage).
+  // The Mcp-Session-Id the server assigns on initialize is sent back on every
+  // later request. Works with serve(type = "http") and other MCP servers.
+  function httpTransport(opts) {
+    opts = opts || {};
+    var sessionId = null;
+    var protocolVersion = null;
+    var ready = null;
+    var inFlight = {}; // host request id -> { id, controller }
+
+    function headers() {
+      var result = mergeObjects(
+        {
+          "Content-Type": "application/json",
+          Accept: "application/json, text/event-stream",
+        },
+        opts.headers
+      );
+      if (sessionId) result["Mcp-Session-Id"] = sessionId;
+      if (protocolVersion) result["MCP-Protocol-Version"] = protocolVersion;
+      return result;
+    }
+
+    function post(message, signal) {
+      return fetch(opts.url, {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify(message),
+        signal: signal,
+      }).then(function (res) {
+        var assigned = res.headers.get("Mcp-Session-Id");
+        if (assigned) sessionId = assigned;
+        if (!res.ok) throw httpError(res);
+        return res;
+      });
+    }
+
+    function deliverServerMessage(message) {
+      if (typeof opts.onMessage === "function") {
+        opts.onMessage(message);
+      }
+    }
+
+    function isResponseTo(message, id) {
+      return !!message && message.id === id && !message.method;
+    }
+
+    function readJsonBody(res, id) {
+      return res.json().then(function (body) {
+        var messages = Array.isArray(body) ? body : [body];
+        var response = null;
+        for (var i = 0; i < messages.length; i++) {
+          if (isResponseTo(messages[i], id)) {
+            response = messages[i];
+          } else if (messages[i] && messages[i].method) {
+            deliverServerMessage(messages[i]);
+          }
+        }
+        return response;
+      });
+    }
+
+    // Read SSE events until the response to `id` arrives
+    function readEventStream(res, id) {
+      if (!res.body || typeof res.body.getReader !== "function") {
+        return res.text().then(function (text) {
+          var blocks = text.replace(/\r\n?/g, "\n").split("\n\n");
+          var response = null;
+          for (var i = 0; i < blocks.length; i++) {
+            var message = parseEventData(blocks[i]);
+            if (isResponseTo(message, id)) {
+              response = message;
+            } else if (message && message.method) {
+              deliverServerMessage(message);
+            }
+          }
+          return response;
+        });
+      }
+
+      var reader = res.body.getReader();
+      var decoder = new TextDecoder();
+      var buffer = "";
+
+      return new Promise(function (resolve, reject) {
+        // Handle each complete event; true once the response was found
+        function drain() {
+          buffer = buffer.replace(/\r\n?/g, "\n");
+          var end = buffer.indexOf("\n\n");
+          while (end !== -1) {
+            var message = parseEventData(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            if (isResponseTo(message, id)) {
+              reader.cancel()["catch"](noop);
+              resolve(message);
+              return true;
+            }
+            if (message && message.method) deliverServerMessage(message);
+            end = buffer.indexOf("\n\n");
+          }
+          return false;
+        }
+
+        function pump() {
+          reader.read().then(function (chunk) {
+            if (chunk.done) {
+              buffer += "\n\n";
+              if (!drain()) resolve(null);
+              return;
+            }
+            buffer += decoder.decode(chunk.value, { stream: true });
+            if (!drain()) pump();
+          }, reject);
+        }
+
+        pump();
+      });
+    }
+
+    function readResponse(res, id) {
+      if (res.status === 202 || res.status === 204) return null;
+      var type = res.headers.get("Content-Type") || "";
+      return type.indexOf("text/event-stream") !== -1
+        ? readEventStream(res, id)
+        : readJsonBody(res, id);
+    }
+
+    // Send a request; `track` (optional) learns its JSON-RPC id
+    function send(method, params, signal, track) {
+      transportRequestSeq += 1;
+      var id = transportRequestSeq;
+      if (track) track.id = id;
+      return post(
+        { jsonrpc: "2.0", id: id, method: method, params: params || {} },
+        signal
+      )
+        .then(function (res) {
+          return readResponse(res, id);
+        })
+        .then(function (message) {
+          if (!message) {
+            throw new Error("The server sent no response to " + method);
+          }
+          if (message.error) {
+            var err = new Error(message.error.message || method + " failed");
+            err.code = message.error.code;
+            err.data = message.error.data;
+            throw err;
+          }
+          return message.result;
+        });
+    }
+
+    function notifyServer(method, params) {
+      return post({ jsonrpc: "2.0", method: method, params: params || {} }).then(
+        function (res) {
+          if (res.body && typeof res.body.cancel === "function") {
+            res.body.cancel()["catch"](noop);
+          }
+        }
+      );
+    }
+
+    function connect() {
+      if (!ready) {
+        ready = send("initialize", {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: opts.clientInfo || {
+            name: "shinymcp-host",
+            version: "0.1.0",
+          },
+        }).then(function (result) {
+          protocolVersion = (result && result.protocolVersion) || PROTOCOL_VERSION;
+          return notifyServer("notifications/initialized").then(function () {
+            return result;
+          });
+        });
+        // A failed handshake may be retried by the next call
+        ready["catch"](function () {
+          ready = null;
+        });
+      }
+      return ready;
+    }
+
+    function request(method, params) {
+      return connect().then(function () {
+        return send(method, params);
+      });
+    }
+
+    return {
+      connect: connect,
+      request: request,
+      notify: function (method, params) {
+        return connect().then(function () {
+          return notifyServer(method, params);
+        });
+      },
+      callTool: function (toolRequest) {
+        var track = { id: null, controller: newAbortController() };
+        inFlight[toolRequest.requestId] = track;
+        return connect()
+          .then(function () {
+            return send(
+              "tools/call",
+              { name: toolRequest.name, arguments: toolRequest.arguments || {} },
+              track.controller ? track.controller.signal : undefined,
+              track
+            );
+          })
+          .then(
+            function (result) {
+              delete inFlight[toolRequest.requestId];
+              return result;
+            },
+            function (err) {
+              delete inFlight[toolRequest.requestId];
+              throw err;
+            }
+          );
+      },
+      cancelTool: function (toolRequest, reason) {
+        var track = inFlight[toolRequest.requestId];
+        if (!track) return;
+        delete inFlight[toolRequest.requestId];
+        if (track.controller) track.controller.abort();
+        if (track.id !== null) {
+          notifyServer("notifications/cancelled", {
+            requestId: track.id,
+            reason: reason,
+          })["catch"](noop);
+        }
+      },
+      readResource: function (params) {
+        return request("resources/read", params);
+      },
+      close: function () {
+        if (sessionId) {
+          fetch(opts.url, { method: "DELETE", headers: headers() })["catch"](
+            noop
+          );
+        }
+        sessionId = null;
+        protocolVersion = null;
+        ready = null;
+      },
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // App resources
+  // ---------------------------------------------------------------------------
+  // ui:// HTML read once per URI and version and shared by every embed of
+  // the same app. Entries hold the read's promise, so embeds that start
+  // while it is in flight wait on the same request; failed reads are dropped
+  // so the next embed retries.
+  var resourceCache = {};
+
+  function loadAppResource(uri, version, read) {
+    var key = uri + "@" + (version || "");
+    if (!resourceCache[key]) {
+      var pending = Promise.resolve()
+        .then(function () {
+          return read({ uri: uri });
+        })
+        .then(function (result) {
+          var content = result && result.contents && result.contents[0];
+          if (!content || typeof content.text !== "string") {
+            throw new Error("The ui:// resource " + uri + " has no HTML text");
+          }
+          return {
+            html: content.text,
+            meta: (content._meta && content._meta.ui) || {},
+          };
+        });
+      pending["catch"](function () {
+        if (resourceCache[key] === pending) delete resourceCache[key];
+      });
+      resourceCache[key] = pending;
+    }
+    return resourceCache[key];
+  }
+
+  // The ui:// resource of the named tool, or of the first tool that has one
+  function uiResourceUri(tools, toolName) {
+    if (!Array.isArray(tools)) return null;
+    for (var i = 0; i < tools.length; i++) {
+      var tool = tools[i] || {};
+      if (toolName && tool.name !== toolName) continue;
+      var meta = tool._meta || {};
+      var uri = (meta.ui && meta.ui.resourceUri) || meta["ui/resourceUri"];
+      if (uri) return uri;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Saved app state
+  // ---------------------------------------------------------------------------
+  // A host with persistence on saves its instance's inputs, model context and
+  // latest successful result per tool under config.stateKey (the instance id
+  // by default), so a reloaded page or re-rendered transcript shows the app as
+  // it was left. The persist option is "session" (sessionStorage), "local"
+  // (localStorage) or false; Shiny embeds use "session" when R gave them a
+  // stateKey and persist nothing otherwise. Inputs and results are stored apart, so results
+  // too big to keep never stop the inputs from being saved; a result longer
+  // than MAX_SAVED_RESULT_LENGTH once serialized is not saved at all.
+  var STATE_STORAGE_PREFIX = "shinymcp-state:";
+  var RESULTS_STORAGE_PREFIX = "shinymcp-results:";
+  var MAX_SAVED_RESULT_LENGTH = 200000;
+
+  function stateStorage(kind) {
+    try {
+      if (kind === "local") return window.localStorage;
+      if (kind === "session") return window.sessionStorage;
+    } catch (e) {
+      // storage is blocked for this page
+    }
+    return null;
+  }
+
+  function readHostState(kind, name) {
+    var storage = stateStorage(kind);
+    if (!storage) return null;
+    try {
+      return jsonParse(storage.getItem(name));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Returns the error when the state could not be saved; a failed write
+  // removes what was saved before rather than leave it stale
+  function writeHostState(kind, name, state) {
+    var storage = stateStorage(kind);
+    if (!storage) return null;
+    try {
+      storage.setItem(name, JSON.stringify(state));
+      return null;
+    } catch (e) {
+      try {
+        storage.removeItem(name);
+      } catch (ignored) {
+        // storage is blocked for this page
+      }
+      return e;
+    }
+  }
+
+  // Forget one instance's saved state, or every instance's without a key
+  function clearHostState(key) {
+    var kinds = ["session", "local"];
+    var prefixes = [STATE_STORAGE_PREFIX, RESULTS_STORAGE_PREFIX];
+    for (var i = 0; i < kinds.length; i++) {
+      var storage = stateStorage(kinds[i]);
+      if (!storage) continue;
+      try {
+        for (var p = 0; p < prefixes.length; p++) {
+          if (key != null) storage.removeItem(prefixes[p] + key);
+        }
+        if (key != null) continue;
+        for (var j = storage.length - 1; j >= 0; j--) {
+          var name = storage.key(j);
+          for (var q = 0; q < prefixes.length; q++) {
+            if (name && name.indexOf(prefixes[q]) === 0) {
+              storage.removeItem(name);
+              break;
+            }
+          }
+        }
+      } catch (e) {
+        // storage is blocked for this page
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Display modes
+  // ---------------------------------------------------------------------------
+  // Each instance's display mode (and its picture-in-picture geometry) is
+  // remembered for the browser session, so a host rendered again comes back
+  // the way the user left it. sessionStorage can be unavailable in sandboxed
+  // or private pages; the in-memory copy still covers re-renders.
+  var DISPLAY_MODES = ["inline", "fullscreen", "pip"];
+  var DISPLAY_MODE_STORAGE_PREFIX = "shinymcp-display-mode:";
+  var displayPreferences = {};
+
+  function readDisplayPreference(key) {
+    var stored = null;
+    try {
+      stored = window.sessionStorage.getItem(DISPLAY_MODE_STORAGE_PREFIX + key);
+    } catch (e) {
+      stored = null;
+    }
+    return (stored && jsonParse(stored)) || displayPreferences[key] || null;
+  }
+
+  function writeDisplayPreference(key, preference) {
+    displayPreferences[key] = preference;
+    try {
+      window.sessionStorage.setItem(
+        DISPLAY_MODE_STORAGE_PREFIX + key,
+        JSON.stringify(preference)
+      );
+    } catch (e) {
+      // in-memory only
+    }
   }
 
   function createHost(options) {
+    // Handlers the caller did not write come from the transport
+    var transport = options.transport || null;
+    if (transport) {
+      options = mergeObjects(
+        {
+          callTool: transport.callTool,
+          cancelTool: transport.cancelTool,
+          readResource: transport.readResource,
+        },
+        options
+      );
+    }
     var container = options.container;
     var iframe = options.iframe;
     var config = options.config || {};
     var disposed = false;
     var fullscreenFallback = false;
     var fullscreenListenersBound = false;
+    var sentHostContext = null;
+    var appCapabilities = null; // from the app's ui/initialize request
 
     function fullscreenElement() {
       return (
@@ -186,57 +992,292 @@
       return fullscreenElement() === container || fullscreenFallback;
     }
 
-    function updateFullscreenButton() {
+    // ---- Display modes ----
+    // inline, fullscreen (the Fullscreen API, or a fixed overlay when the
+    // browser refuses) and pip: a floating window dragged by its toolbar and
+    // resized from its corner, with a placeholder holding its place inline.
+    // The mode is remembered under config.displayModeKey, the container id
+    // by default.
+    var availableDisplayModes = (
+      options.displayModes ||
+      config.displayModes ||
+      DISPLAY_MODES
+    ).filter(function (mode) {
+      return DISPLAY_MODES.indexOf(mode) !== -1 && mode !== "inline";
+    });
+    availableDisplayModes.unshift("inline");
+    var displayModeKey =
+      config.displayModeKey || container.id || config.instanceId || null;
+    var pipActive = false;
+    var pipPlaceholder = null;
+    var pipGeometry = null; // { left, top, width, height } in px
+    var pipResizeObserver = null;
+
+    function currentDisplayMode() {
+      if (isFullscreen()) return "fullscreen";
+      return pipActive ? "pip" : "inline";
+    }
+
+    function rememberDisplayMode() {
+      if (disposed || !displayModeKey) return;
+      writeDisplayPreference(displayModeKey, {
+        mode: currentDisplayMode(),
+        pip: pipGeometry,
+      });
+    }
+
+    function applyPipGeometry() {
+      var style = container.style;
+      if (!pipActive || !pipGeometry) {
+        style.left = style.top = style.width = style.height = "";
+        style.right = style.bottom = "";
+        return;
+      }
+      // Keep at least part of the window on screen after the viewport shrank
+      var left = Math.max(0, Math.min(pipGeometry.left, window.innerWidth - 80));
+      var top = Math.max(0, Math.min(pipGeometry.top, window.innerHeight - 40));
+      style.left = left + "px";
+      style.top = top + "px";
+      style.right = style.bottom = "auto";
+      if (pipGeometry.width) style.width = pipGeometry.width + "px";
+      if (pipGeometry.height) style.height = pipGeometry.height + "px";
+    }
+
+    function recordPipGeometry() {
+      var rect = container.getBoundingClientRect();
+      if (!rect.width || !rect.height) return;
+      pipGeometry = {
+        left: Math.round(rect.left),
+        top: Math.round(rect.top),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      };
+      rememberDisplayMode();
+    }
+
+    // Drag the floating window by its toolbar, but not by its buttons
+    function onPipPointerDown(event) {
+      if (!pipActive || (event.button !== undefined && event.button !== 0)) {
+        return;
+      }
+      if (event.target.closest && event.target.closest("button")) return;
+      event.preventDefault();
+      var rect = container.getBoundingClientRect();
+      var offsetX = event.clientX - rect.left;
+      var offsetY = event.clientY - rect.top;
+
+      function move(e) {
+        pipGeometry = mergeObjects(pipGeometry, {
+          left: e.clientX - offsetX,
+          top: e.clientY - offsetY,
+        });
+        applyPipGeometry();
+      }
+
+      function stop() {
+        document.removeEventListener("pointermove", move);
+        document.removeEventListener("pointerup", stop);
+        document.removeEventListener("pointercancel", stop);
+        container.removeAttribute("data-shinymcp-dragging");
+        recordPipGeometry();
+      }
+
+      container.setAttribute("data-shinymcp-dragging", "true");
+      document.addEventListener("pointermove", move);
+      document.addEventListener("pointerup", stop);
+      document.addEventListener("pointercancel", stop);
+    }
+
+    function enterPip() {
+      if (pipActive || !container.parentNode) return;
+      if (isFullscreen()) exitFullscreen();
+      pipPlaceholder = document.createElement("div");
+      pipPlaceholder.className = "shinymcp-host-pip-placeholder";
+      pipPlaceholder.style.height = (container.offsetHeight || 120) + "px";
+      var dock = document.createElement("button");
+      dock.type = "button";
+      dock.className = "shinymcp-host-button shinymcp-host-button-secondary";
+      dock.textContent = "Dock";
+      dock.addEventListener("click", function () {
+        setDisplayMode("inline");
+      });
+      pipPlaceholder.appendChild(
+        document.createTextNode("Showing in a floating window. ")
+      );
+      pipPlaceholder.appendChild(dock);
+      container.parentNode.insertBefore(pipPlaceholder, container);
+
+      pipActive = true;
+      container.setAttribute("data-shinymcp-display-mode", "pip");
+      applyPipGeometry();
+      var toolbar = container.querySelector("[data-shinymcp-host-toolbar]");
+      if (toolbar) toolbar.addEventListener("pointerdown", onPipPointerDown);
+      if (typeof ResizeObserver !== "undefined") {
+        pipResizeObserver = new ResizeObserver(function () {
+          if (!container.hasAttribute("data-shinymcp-dragging")) {
+            recordPipGeometry();
+          }
+        });
+        pipResizeObserver.observe(container);
+      }
+      updateDisplayModeControls();
+    }
+
+    function exitPip() {
+      if (!pipActive) return;
+      pipActive = false;
+      if (pipResizeObserver) {
+        pipResizeObserver.disconnect();
+        pipResizeObserver = null;
+      }
+      var toolbar = container.querySelector("[data-shinymcp-host-toolbar]");
+      if (toolbar) toolbar.removeEventListener("pointerdown", onPipPointerDown);
+      container.removeAttribute("data-shinymcp-display-mode");
+      applyPipGeometry();
+      if (pipPlaceholder && pipPlaceholder.parentNode) {
+        pipPlaceholder.parentNode.removeChild(pipPlaceholder);
+      }
+      pipPlaceholder = null;
+      updateDisplayModeControls();
+    }
+
+    // Switch modes; resolves with the mode in effect afterwards, which is the
+    // current one when the requested mode is not available
+    function setDisplayMode(mode) {
+      if (disposed || availableDisplayModes.indexOf(mode) === -1) {
+        return Promise.resolve(currentDisplayMode());
+      }
+      var pending = null;
+      if (mode === "pip") {
+        enterPip();
+      } else {
+        exitPip();
+        if (mode === "fullscreen" && !isFullscreen()) {
+          pending = enterFullscreen();
+        } else if (mode === "inline" && isFullscreen()) {
+          pending = exitFullscreen();
+        }
+      }
+      return Promise.resolve(pending).then(function () {
+        updateDisplayModeControls();
+        return currentDisplayMode();
+      });
+    }
+
+    // Page context, then the caller's static hostContext, then live state,
+    // then whatever setHostContext() last set (a simulated theme, locale or
+    // display mode wins over the real one)
+    var contextOverrides = null;
+
+    function currentHostContext() {
+      return mergeObjects(
+        options.pageContext === false ? null : readPageContext(),
+        options.hostContext,
+        {
+          displayMode: currentDisplayMode(),
+          availableDisplayModes: availableDisplayModes.slice(),
+        },
+        contextOverrides
+      );
+    }
+
+    function setHostContext(context) {
+      contextOverrides =
+        context && typeof context === "object" ? mergeObjects(context) : null;
+      refreshHostContext();
+    }
+
+    // Send the fields that changed since the last context the app saw
+    function refreshHostContext() {
+      if (disposed || !sentHostContext) return;
+      var next = currentHostContext();
+      var changes = {};
+      var changed = false;
+      var keys = Object.keys(next);
+      for (var i = 0; i < keys.length; i++) {
+        if (
+          JSON.stringify(next[keys[i]]) !==
+          JSON.stringify(sentHostContext[keys[i]])
+        ) {
+          changes[keys[i]] = next[keys[i]];
+          changed = true;
+        }
+      }
+      sentHostContext = mergeObjects(sentHostContext, next);
+      if (changed) {
+        notify("ui/notifications/host-context-changed", changes);
+      }
+    }
+
+    function updateDisplayModeControls() {
       var button = container.querySelector('[data-shinymcp-action="fullscreen"]');
+      var pipButton = container.querySelector('[data-shinymcp-action="pip"]');
       var active = isFullscreen();
-      if (!button) return;
-      button.setAttribute("aria-pressed", active ? "true" : "false");
-      button.textContent = active ? "Exit full screen" : "Full screen";
-      button.setAttribute(
-        "title",
-        active ? "Exit full screen" : "Full screen"
-      );
+      refreshHostContext();
+      rememberDisplayMode();
+      if (button) {
+        button.style.display =
+          availableDisplayModes.indexOf("fullscreen") === -1 ? "none" : "";
+        button.setAttribute("aria-pressed", active ? "true" : "false");
+        button.textContent = active ? "Exit full screen" : "Full screen";
+        button.setAttribute(
+          "title",
+          active ? "Exit full screen" : "Full screen"
+        );
+      }
+      if (pipButton) {
+        pipButton.style.display =
+          availableDisplayModes.indexOf("pip") === -1 ? "none" : "";
+        pipButton.setAttribute("aria-pressed", pipActive ? "true" : "false");
+        pipButton.textContent = pipActive ? "Dock" : "Pop out";
+        pipButton.setAttribute(
+          "title",
+          pipActive ? "Dock" : "Picture in picture"
+        );
+      }
     }
 
     function enterFallbackFullscreen() {
       bindFullscreenListeners();
       fullscreenFallback = true;
       container.setAttribute("data-shinymcp-fullscreen", "true");
-      updateFullscreenButton();
+      updateDisplayModeControls();
     }
 
     function exitFallbackFullscreen() {
       fullscreenFallback = false;
       container.removeAttribute("data-shinymcp-fullscreen");
-      updateFullscreenButton();
+      updateDisplayModeControls();
       unbindFullscreenListeners();
     }
 
+    // Both return a promise (or null) that settles once the change is done
     function enterFullscreen() {
       bindFullscreenListeners();
       var requested = requestFullscreen(container);
       if (requested && typeof requested["catch"] === "function") {
-        requested["catch"](function () {
+        return requested["catch"](function () {
           enterFallbackFullscreen();
         });
-        return;
       }
       if (!requested) {
         enterFallbackFullscreen();
       }
+      return null;
     }
 
     function exitFullscreen() {
       if (fullscreenElement() === container) {
         var exited = exitDocumentFullscreen();
         if (exited && typeof exited["catch"] === "function") {
-          exited["catch"](function () {
+          return exited["catch"](function () {
             exitFallbackFullscreen();
           });
         }
-        return;
+        return null;
       }
       exitFallbackFullscreen();
+      return null;
     }
 
     function onFullscreenChange() {
@@ -245,7 +1286,7 @@
         container.removeAttribute("data-shinymcp-fullscreen");
         unbindFullscreenListeners();
       }
-      updateFullscreenButton();
+      updateDisplayModeControls();
     }
 
     function onKeydown(event) {
@@ -254,9 +1295,92 @@
       }
     }
 
-    function postToIframe(message) {
+    // ---- Channel to the app ----
+    // Posts target the frame's real origin. A sandbox without
+    // allow-same-origin leaves the frame an opaque origin that can only be
+    // addressed as "*"; apps that declare appCapabilities.messageChannel get a
+    // MessagePort with the initialize response and all later traffic uses it.
+    var channelPort = null;
+    var frameLoad = 0; // bumped by each ui/initialize and reload()
+
+    // Every JSON-RPC message to and from the app is shown to options.tap and
+    // listeners added with host.tap() as listener(direction, message, host),
+    // direction being "in" (from the app) or "out" (to the app). Inspectors
+    // and recorders hang off this.
+    var tapListeners = typeof options.tap === "function" ? [options.tap] : [];
+
+    function tapMessage(direction, message) {
+      var listeners = tapListeners.slice();
+      for (var i = 0; i < listeners.length; i++) {
+        try {
+          listeners[i](direction, message, host);
+        } catch (err) {
+          console.error("[shinymcp-host] Message tap failed:", err);
+        }
+      }
+    }
+
+    function frameOrigin() {
+      var sandbox = iframe.getAttribute("sandbox");
+      if (sandbox !== null && !/(^|\s)allow-same-origin(\s|$)/.test(sandbox)) {
+        return "*";
+      }
+      var origin = null;
+      try {
+        origin =
+          options.appSrc != null
+            ? new URL(options.appSrc, window.location.href).origin
+            : window.location.origin;
+      } catch (e) {
+        origin = null;
+      }
+      return origin && origin !== "null" ? origin : "*";
+    }
+
+    function postToWindow(message, transfer) {
       if (!iframe || !iframe.contentWindow) return;
-      iframe.contentWindow.postMessage(message, "*");
+      tapMessage("out", message);
+      if (transfer) {
+        iframe.contentWindow.postMessage(message, frameOrigin(), transfer);
+      } else {
+        iframe.contentWindow.postMessage(message, frameOrigin());
+      }
+    }
+
+    function postToIframe(message) {
+      if (channelPort) {
+        tapMessage("out", message);
+        channelPort.postMessage(message);
+        return;
+      }
+      postToWindow(message);
+    }
+
+    function closeChannel() {
+      if (!channelPort) return;
+      channelPort.onmessage = null;
+      channelPort.close();
+      channelPort = null;
+    }
+
+    // Answer ui/initialize over the window, handing over a fresh port when
+    // the app can use one
+    function respondToInitialize(id, result) {
+      var message = { jsonrpc: "2.0", id: id, result: result };
+      if (
+        !appCapabilities ||
+        !appCapabilities.messageChannel ||
+        typeof MessageChannel === "undefined"
+      ) {
+        postToWindow(message);
+        return;
+      }
+      var channel = new MessageChannel();
+      postToWindow(message, [channel.port2]);
+      channelPort = channel.port1;
+      channelPort.onmessage = function (event) {
+        if (!disposed) dispatchMessage(event.data);
+      };
     }
 
     function respond(id, result) {
@@ -267,7 +1391,478 @@
       });
     }
 
+    function respondError(id, code, message) {
+      postToIframe({
+        jsonrpc: "2.0",
+        id: id,
+        error: { code: code, message: message },
+      });
+    }
+
+    // Hand an app request to an optional host handler and relay its answer.
+    // A handler's error keeps its JSON-RPC code when it carries one. Answers
+    // that arrive after the frame reloaded are dropped.
+    function forwardRequest(message, handler) {
+      var load = frameLoad;
+      if (typeof handler !== "function") {
+        respondError(
+          message.id,
+          JSONRPC_METHOD_NOT_FOUND,
+          "Host does not support " + message.method
+        );
+        return;
+      }
+      Promise.resolve(handler(message.params || {}, host))
+        .then(function (result) {
+          if (load === frameLoad) respond(message.id, result);
+        })
+        ["catch"](function (err) {
+          if (load !== frameLoad) return;
+          respondError(
+            message.id,
+            err && typeof err.code === "number" ? err.code : JSONRPC_INTERNAL_ERROR,
+            err && err.message ? err.message : String(err)
+          );
+        });
+    }
+
+    function openLink(message) {
+      var url = (message.params && message.params.url) || "";
+      if (!isSafeLink(url)) {
+        respondError(
+          message.id,
+          JSONRPC_INVALID_PARAMS,
+          "Refusing to open link: " + url
+        );
+        return;
+      }
+      if (typeof options.openLink === "function") {
+        forwardRequest(message, options.openLink);
+        return;
+      }
+      var opened = window.open(url, "_blank");
+      if (!opened) {
+        respondError(message.id, JSONRPC_INTERNAL_ERROR, "Link was blocked");
+        return;
+      }
+      opened.opener = null;
+      respond(message.id, {});
+    }
+
+    // ---- Connection to R ----
+    // While the transport is down the host shows a disconnected state. The
+    // last tool-input it sent (or, failing that, the inputs the app last
+    // reported as model context) is replayed once it reconnects, so outputs
+    // are recomputed by the new R session.
+    var connectionLost = false;
+    var lastToolInput = null;
+
+    function disconnect(reason) {
+      if (disposed) return;
+      connectionLost = true;
+      setHostStatus("disconnected", "disconnected");
+      setError(container, reason || "");
+    }
+
+    function reconnect(instanceId) {
+      if (disposed) return;
+      if (instanceId && instanceId !== config.instanceId) {
+        if (hosts[config.instanceId] === host) {
+          delete hosts[config.instanceId];
+        }
+        config.instanceId = instanceId;
+        hosts[instanceId] = host;
+      }
+      connectionLost = false;
+      setError(container, "");
+      setHostStatus("connected", "ready");
+      host.execute(lastToolInput);
+    }
+
+    // ---- Tool input ----
+    // lastToolInput is the app's current inputs as far as the host knows:
+    // tool-input it sent merged with model context the app reported. The
+    // argument names of the app's own tools/call requests are collected too,
+    // so a layout can tell which inputs another instance shares with it.
+    var seenArgumentNames = {};
+    var inputListeners = [];
+
+    function noteArgumentNames(args) {
+      var names = Object.keys(args || {});
+      for (var i = 0; i < names.length; i++) {
+        seenArgumentNames[names[i]] = true;
+      }
+    }
+
+    // source is "tool-input" (sent by the host) or "model-context" (reported
+    // by the app)
+    function recordToolInput(args, source) {
+      lastToolInput = mergeObjects(lastToolInput || {}, args);
+      if (source === "model-context") latestModelContext = args;
+      noteArgumentNames(args);
+      saveState();
+      recordHistory();
+      var listeners = inputListeners.slice();
+      for (var i = 0; i < listeners.length; i++) {
+        try {
+          listeners[i](args, source, host);
+        } catch (err) {
+          console.error("[shinymcp-host] Input listener failed:", err);
+        }
+      }
+    }
+
+    function setToolInput(toolArgs) {
+      if (!toolArgs || typeof toolArgs !== "object") return;
+      notify("ui/notifications/tool-input", { arguments: toolArgs });
+      recordToolInput(toolArgs, "tool-input");
+      if (config.trigger === "submit" || config.trigger === "manual") {
+        setHostStatus("dirty", "changes pending");
+      }
+    }
+
+    // ---- Saved state ----
+    // Inputs and model context are saved on every input change, results on
+    // every successful tool result. The saved inputs become the app's initial
+    // arguments, and once the app is initialized the saved results are shown
+    // while its tools re-run and the saved model context is reported again.
+    // A failed save is reported once per instance.
+    var persist = options.persist != null ? options.persist : config.persist;
+    var stateKey = config.stateKey || config.instanceId;
+    var canPersist = !!(persist && stateKey);
+    var savedState = canPersist
+      ? readHostState(persist, STATE_STORAGE_PREFIX + stateKey)
+      : null;
+    var latestModelContext = (savedState && savedState.modelContext) || null;
+    var latestResults =
+      (canPersist && readHostState(persist, RESULTS_STORAGE_PREFIX + stateKey)) ||
+      {};
+    var modelContextRestored = !latestModelContext;
+    var saveWarned = false;
+    if (savedState && savedState.toolInput) {
+      lastToolInput = savedState.toolInput;
+    }
+
+    function warnSaveFailed(err) {
+      if (!err || saveWarned) return;
+      saveWarned = true;
+      console.warn(
+        "[shinymcp-host] Could not save app state:",
+        err.message ? err.message : err
+      );
+    }
+
+    function saveState() {
+      if (!canPersist || disposed) return;
+      warnSaveFailed(
+        writeHostState(persist, STATE_STORAGE_PREFIX + stateKey, {
+          toolInput: lastToolInput,
+          modelContext: latestModelContext,
+          savedAt: Date.now(),
+        })
+      );
+    }
+
+    function saveResult(toolName, result) {
+      if (!canPersist || disposed) return;
+      var size = JSON.stringify(result).length;
+      if (size > MAX_SAVED_RESULT_LENGTH) {
+        // An older result would be shown for inputs it no longer matches
+        if (latestResults[toolName] === undefined) return;
+        delete latestResults[toolName];
+      } else {
+        latestResults[toolName] = result;
+      }
+      warnSaveFailed(
+        writeHostState(persist, RESULTS_STORAGE_PREFIX + stateKey, latestResults)
+      );
+    }
+
+    function clearState() {
+      lastToolInput = null;
+      latestModelContext = null;
+      latestResults = {};
+      modelContextRestored = true;
+      if (stateKey) clearHostState(stateKey);
+    }
+
+    // Show results the app had before, one tool-result per tool
+    function showResults(results) {
+      var names = Object.keys(results);
+      for (var i = 0; i < names.length; i++) {
+        notify("ui/notifications/tool-result", results[names[i]]);
+      }
+    }
+
+    function restoreState() {
+      if (!persist) return;
+      showResults(latestResults);
+      if (!modelContextRestored) {
+        modelContextRestored = true;
+        if (typeof options.onNotification === "function") {
+          options.onNotification(
+            "ui/update-model-context",
+            { structuredContent: latestModelContext },
+            host
+          );
+        }
+      }
+    }
+
+    // ---- History ----
+    // Every change of inputs, from the app's model context or tool-input the
+    // host sent, is a step in a timeline bounded by config.historyLimit. A
+    // tool call belongs to the step current when it was made, and its result
+    // is kept with that step. Undo, redo and the timeline slider restore a
+    // step by sending its inputs as tool-input, showing its results and
+    // triggering the tools. Until the first change, the arguments of the
+    // app's initial tool calls make up the starting step.
+    var inputHistory = [];
+    var historyIndex = -1;
+    var historyStarted = false;
+    var restoringHistory = false;
+
+    function historyLimit() {
+      var limit = Number(config.historyLimit);
+      return limit >= 1 ? Math.floor(limit) : DEFAULT_HISTORY_LIMIT;
+    }
+
+    function seedHistory(args) {
+      if (historyStarted) return;
+      if (inputHistory.length === 0) {
+        inputHistory.push({ input: {}, results: {}, at: Date.now() });
+        historyIndex = 0;
+      }
+      inputHistory[0].input = mergeObjects(inputHistory[0].input, args);
+      updateHistoryControls();
+    }
+
+    function recordHistory() {
+      if (restoringHistory || !lastToolInput) return;
+      historyStarted = true;
+      var current = inputHistory[historyIndex];
+      if (current && sameValue(current.input, lastToolInput)) return;
+      // A change after undo starts a new branch
+      inputHistory.splice(historyIndex + 1);
+      inputHistory.push({
+        input: mergeObjects(lastToolInput),
+        results: {},
+        at: Date.now(),
+      });
+      while (inputHistory.length > historyLimit()) inputHistory.shift();
+      historyIndex = inputHistory.length - 1;
+      updateHistoryControls();
+    }
+
+    function recordHistoryResult(call, result) {
+      if (call.historyEntry) call.historyEntry.results[call.request.name] = result;
+    }
+
+    function restoreHistory(index) {
+      index = Math.floor(Number(index));
+      if (disposed || !(index >= 0 && index < inputHistory.length)) return;
+      var entry = inputHistory[index];
+      historyIndex = index;
+      historyStarted = true;
+      restoringHistory = true;
+      try {
+        setToolInput(mergeObjects(entry.input));
+      } finally {
+        restoringHistory = false;
+      }
+      showResults(entry.results);
+      notify("ui/notifications/trigger-tool-call", {});
+      updateHistoryControls();
+    }
+
+    function updateHistoryControls() {
+      var undo = container.querySelector('[data-shinymcp-action="undo"]');
+      var redo = container.querySelector('[data-shinymcp-action="redo"]');
+      var timeline = container.querySelector("[data-shinymcp-history-timeline]");
+      if (undo) undo.disabled = historyIndex <= 0;
+      if (redo) redo.disabled = historyIndex >= inputHistory.length - 1;
+      if (timeline) {
+        timeline.max = String(Math.max(0, inputHistory.length - 1));
+        timeline.value = String(Math.max(0, historyIndex));
+        timeline.disabled = inputHistory.length < 2;
+        timeline.setAttribute(
+          "aria-valuetext",
+          inputHistory.length > 0
+            ? "Step " + (historyIndex + 1) + " of " + inputHistory.length
+            : "No history"
+        );
+      }
+    }
+
+    // ---- Tool calls ----
+    // At most config.maxConcurrentToolCalls run at once; the rest wait in
+    // arrival order. A call identical to one already running shares its
+    // result, and a newer call for a tool that is still waiting replaces the
+    // waiting one. Each call tracks the app request ids waiting on it; once
+    // none are left it is dropped, and a running call is handed to
+    // options.cancelTool so the transport can stop it.
+    var runningCalls = [];
+    var queuedCalls = [];
+
+    function maxConcurrentToolCalls() {
+      var max = Number(config.maxConcurrentToolCalls);
+      return max >= 1 ? Math.floor(max) : DEFAULT_MAX_CONCURRENT_TOOL_CALLS;
+    }
+
+    function sameToolCall(a, b) {
+      return (
+        a.name === b.name &&
+        JSON.stringify(a.arguments) === JSON.stringify(b.arguments)
+      );
+    }
+
+    function enqueueToolCall(message) {
+      var params = message.params || {};
+      var request = {
+        requestId: message.id,
+        name: params.name,
+        arguments: params.arguments || {},
+      };
+      noteArgumentNames(request.arguments);
+      seedHistory(request.arguments);
+
+      for (var i = 0; i < runningCalls.length; i++) {
+        if (sameToolCall(runningCalls[i].request, request)) {
+          runningCalls[i].waiters.push(message.id);
+          return;
+        }
+      }
+      for (var j = 0; j < queuedCalls.length; j++) {
+        if (queuedCalls[j].request.name === request.name) {
+          var stale = queuedCalls.splice(j, 1)[0];
+          for (var k = 0; k < stale.waiters.length; k++) {
+            respondError(
+              stale.waiters[k],
+              JSONRPC_REQUEST_CANCELLED,
+              "Superseded by a newer tools/call"
+            );
+          }
+          break;
+        }
+      }
+      queuedCalls.push({
+        request: request,
+        waiters: [message.id],
+        historyEntry: inputHistory[historyIndex] || null,
+      });
+      pumpToolCalls();
+    }
+
+    function pumpToolCalls() {
+      while (
+        !disposed &&
+        queuedCalls.length > 0 &&
+        runningCalls.length < maxConcurrentToolCalls()
+      ) {
+        startToolCall(queuedCalls.shift());
+      }
+    }
+
+    // Remove a running call; false when it was already cancelled
+    function finishToolCall(call) {
+      var index = runningCalls.indexOf(call);
+      if (index === -1) return false;
+      runningCalls.splice(index, 1);
+      return true;
+    }
+
+    function toolCallsIdle() {
+      return runningCalls.length === 0 && queuedCalls.length === 0;
+    }
+
+    function startToolCall(call) {
+      runningCalls.push(call);
+      setHostStatus("running", "running...");
+      setError(container, "");
+
+      Promise.resolve()
+        .then(function () {
+          return options.callTool(call.request, host);
+        })
+        .then(function (result) {
+          if (!finishToolCall(call)) return;
+          // The response already carries the result to the bridge; a
+          // tool-result notification on top would re-render it even when
+          // the bridge has dropped this call as superseded.
+          for (var i = 0; i < call.waiters.length; i++) {
+            respond(call.waiters[i], result);
+          }
+
+          if (result && result.isError) {
+            setHostStatus("error", "tool error");
+            setError(container, extractResultText(result));
+          } else {
+            saveResult(call.request.name, result);
+            recordHistoryResult(call, result);
+            if (toolCallsIdle()) setHostStatus("connected", "ready");
+          }
+          pumpToolCalls();
+        })
+        ["catch"](function (err) {
+          if (!finishToolCall(call)) return;
+          var errorText = err && err.message ? err.message : String(err);
+          var result = {
+            content: [{ type: "text", text: "Host error: " + errorText }],
+            isError: true,
+          };
+          for (var i = 0; i < call.waiters.length; i++) {
+            respond(call.waiters[i], result);
+          }
+          setHostStatus("error", "tool error");
+          setError(container, "Host error: " + errorText);
+          pumpToolCalls();
+        });
+    }
+
+    function cancelRunningCall(call, reason) {
+      if (!finishToolCall(call)) return;
+      if (typeof options.cancelTool === "function") {
+        try {
+          options.cancelTool(call.request, reason, host);
+        } catch (e) {
+          console.warn("[shinymcp-host] cancelTool failed:", e);
+        }
+      }
+    }
+
+    // The app gave up on a request (notifications/cancelled)
+    function cancelToolRequest(requestId, reason) {
+      var lists = [queuedCalls, runningCalls];
+      for (var l = 0; l < lists.length; l++) {
+        for (var i = 0; i < lists[l].length; i++) {
+          var call = lists[l][i];
+          var index = call.waiters.indexOf(requestId);
+          if (index === -1) continue;
+          call.waiters.splice(index, 1);
+          if (call.waiters.length === 0) {
+            if (lists[l] === queuedCalls) {
+              queuedCalls.splice(i, 1);
+            } else {
+              cancelRunningCall(call, reason || "Cancelled by the app");
+            }
+          }
+          if (toolCallsIdle()) setHostStatus("connected", "ready");
+          pumpToolCalls();
+          return;
+        }
+      }
+    }
+
+    function cancelAllToolCalls(reason) {
+      queuedCalls = [];
+      var running = runningCalls.slice();
+      for (var i = 0; i < running.length; i++) {
+        cancelRunningCall(running[i], reason);
+      }
+    }
+
     function notify(method, params) {
+      if (!appHandles(method)) return;
       var message = {
         jsonrpc: "2.0",
         method: method,
@@ -279,6 +1874,8 @@
     }
 
     function setHostStatus(state, text) {
+      // Nothing but a reconnect may clear the disconnected state
+      if (connectionLost && state !== "disconnected") return;
       if (options.setStatus) {
         options.setStatus(state, text, host);
       } else {
@@ -286,36 +1883,110 @@
       }
     }
 
+    // Capabilities follow the handlers this host was given; a key's presence
+    // means the feature is supported. options.hostCapabilities can add or
+    // override entries, e.g. partialToolInput for hosts that stream input,
+    // and a null entry withdraws one.
+    function defaultHostCapabilities() {
+      var capabilities = {
+        openLinks: {},
+        logging: {},
+        availableDisplayModes: availableDisplayModes.slice(),
+      };
+      if (typeof options.callTool === "function") capabilities.serverTools = {};
+      if (typeof options.readResource === "function") {
+        capabilities.serverResources = {};
+      }
+      if (typeof options.sendMessage === "function") capabilities.message = {};
+      return mergeObjects(capabilities, options.hostCapabilities);
+    }
+
+    // Fill in whatever a custom initialize() left out
+    function completeInitializeResult(result) {
+      result = result || {};
+      result.protocolVersion =
+        result.protocolVersion || config.protocolVersion || PROTOCOL_VERSION;
+      result.hostInfo = result.hostInfo || {
+        name: "shinymcp-host",
+        version: "0.1.0",
+      };
+      var capabilities = mergeObjects(
+        defaultHostCapabilities(),
+        result.hostCapabilities
+      );
+      var names = Object.keys(capabilities);
+      for (var i = 0; i < names.length; i++) {
+        if (capabilities[names[i]] === null) delete capabilities[names[i]];
+      }
+      result.hostCapabilities = capabilities;
+      return result;
+    }
+
     function getInitializeResult() {
       if (typeof options.initialize === "function") {
         return options.initialize(host);
       }
-      return {
-        protocolVersion: PROTOCOL_VERSION,
-        hostInfo: {
-          name: "shinymcp-host",
-          version: "0.1.0",
-        },
-        hostCapabilities: {},
-        hostContext: options.hostContext || null,
-      };
+      return { hostContext: options.hostContext || null };
+    }
+
+    // Skip notifications an app has said it does not handle. Apps that
+    // declare nothing get everything.
+    function appHandles(method) {
+      if (!appCapabilities || !Array.isArray(appCapabilities.notifications)) {
+        return true;
+      }
+      return appCapabilities.notifications.indexOf(method) !== -1;
     }
 
     function handleRequest(message) {
       var params = message.params || {};
 
       if (message.method === "ui/initialize") {
+        // A reloaded frame initializes again with a new port and request
+        // ids that start over; nothing from the last load may answer it
+        closeChannel();
+        frameLoad += 1;
+        cancelAllToolCalls("App reloaded");
+        appCapabilities =
+          params.appCapabilities && typeof params.appCapabilities === "object"
+            ? params.appCapabilities
+            : null;
         Promise.resolve(getInitializeResult())
           .then(function (result) {
-            respond(message.id, result || {});
+            result = completeInitializeResult(result);
+            result.hostContext = mergeObjects(
+              currentHostContext(),
+              result.hostContext
+            );
+            if (persist && lastToolInput) {
+              result.hostContext.initialArguments = mergeObjects(
+                result.hostContext.initialArguments,
+                lastToolInput
+              );
+            }
+            sentHostContext = result.hostContext;
+            respondToInitialize(message.id, result);
+
+            if (
+              params.protocolVersion &&
+              SUPPORTED_PROTOCOL_VERSIONS.indexOf(params.protocolVersion) === -1 &&
+              params.protocolVersion !== result.protocolVersion
+            ) {
+              setHostStatus("error", "protocol mismatch");
+              setError(
+                container,
+                "This app speaks MCP Apps protocol " +
+                  params.protocolVersion +
+                  ", but this host supports " +
+                  result.protocolVersion +
+                  "."
+              );
+              return;
+            }
             setHostStatus("connected", "ready");
           })
           ["catch"](function (err) {
-            respond(message.id, {
-              protocolVersion: PROTOCOL_VERSION,
-              hostInfo: { name: "shinymcp-host", version: "0.1.0" },
-              hostCapabilities: {},
-            });
+            respondToInitialize(message.id, completeInitializeResult(null));
             setHostStatus("error", "initialize error");
             setError(container, err && err.message ? err.message : String(err));
           });
@@ -323,36 +1994,29 @@
       }
 
       if (message.method === "tools/call") {
-        setHostStatus("running", "running...");
-        setError(container, "");
-        Promise.resolve(
-          options.callTool({
-            requestId: message.id,
-            name: params.name,
-            arguments: params.arguments || {},
-          }, host)
-        )
-          .then(function (result) {
-            respond(message.id, result);
-            notify("ui/notifications/tool-result", result);
+        enqueueToolCall(message);
+        return;
+      }
 
-            if (result && result.isError) {
-              setHostStatus("error", "tool error");
-              setError(container, extractResultText(result));
-            } else {
-              setHostStatus("connected", "ready");
-            }
-          })
-          ["catch"](function (err) {
-            var errorText = err && err.message ? err.message : String(err);
-            var result = {
-              content: [{ type: "text", text: "Host error: " + errorText }],
-              isError: true,
-            };
-            respond(message.id, result);
-            setHostStatus("error", "tool error");
-            setError(container, "Host error: " + errorText);
-          });
+      if (message.method === "ui/message") {
+        forwardRequest(message, options.sendMessage);
+        return;
+      }
+
+      if (message.method === "ui/open-link") {
+        openLink(message);
+        return;
+      }
+
+      if (message.method === "ui/request-display-mode") {
+        setDisplayMode(params.mode).then(function (mode) {
+          respond(message.id, { mode: mode });
+        });
+        return;
+      }
+
+      if (message.method === "resources/read") {
+        forwardRequest(message, options.readResource);
         return;
       }
 
@@ -369,7 +2033,7 @@
       if (
         message.method === "ui/notifications/size-changed" &&
         (config.height === "auto" || config.height == null) &&
-        !isFullscreen()
+        currentDisplayMode() === "inline"
       ) {
         var nextHeight = message.params && message.params.height;
         if (typeof nextHeight === "number" && nextHeight > 0) {
@@ -377,6 +2041,14 @@
         }
       }
 
+      if (
+        message.method === "ui/update-model-context" &&
+        message.params &&
+        message.params.structuredContent
+      ) {
+        recordToolInput(message.params.structuredContent, "model-context");
+      }
+
       if (
         message.method === "ui/update-model-context" &&
         (config.trigger === "submit" || config.trigger === "manual")
@@ -384,6 +2056,25 @@
         setHostStatus("dirty", "changes pending");
       }
 
+      if (message.method === "notifications/message") {
+        logAppMessage(config.instanceId, message.params || {});
+      }
+
+      if (message.method === "ui/notifications/initialized") {
+        restoreState();
+      }
+
+      if (message.method === "notifications/cancelled") {
+        var cancelled = message.params || {};
+        cancelToolRequest(cancelled.requestId, cancelled.reason);
+      }
+
+      if (message.method === "ui/notifications/csp-violation") {
+        var violation = describeViolation(message.params || {});
+        console.warn("[shinymcp-host] " + violation);
+        setError(container, violation);
+      }
+
       if (typeof options.onNotification === "function") {
         options.onNotification(message.method, message.params || {}, host);
       }
@@ -393,11 +2084,27 @@
       if (disposed || !iframe || event.source !== iframe.contentWindow) {
         return;
       }
+      var expectedOrigin = frameOrigin();
+      if (expectedOrigin !== "*" && event.origin !== expectedOrigin) {
+        return;
+      }
 
       var message = event.data;
+      // Once a port is open only a fresh ui/initialize may use the window
+      if (
+        channelPort &&
+        !(message && message.method === "ui/initialize")
+      ) {
+        return;
+      }
+      dispatchMessage(message);
+    }
+
+    function dispatchMessage(message) {
       if (!message || message.jsonrpc !== "2.0") {
         return;
       }
+      tapMessage("in", message);
 
       if (message.method && message.id !== undefined) {
         handleRequest(message);
@@ -414,10 +2121,55 @@
       container: container,
       iframe: iframe,
       notify: notify,
+      hostContext: currentHostContext,
+      refreshHostContext: refreshHostContext,
+      setHostContext: setHostContext,
+      reload: reload,
+      appCapabilities: function () {
+        return appCapabilities;
+      },
+      disconnect: disconnect,
+      reconnect: reconnect,
+      isConnected: function () {
+        return !connectionLost;
+      },
+      toolInput: function () {
+        return lastToolInput;
+      },
+      argumentNames: function () {
+        return Object.keys(mergeObjects(seenArgumentNames, lastToolInput || {}));
+      },
+      // Listen for tool-input and model-context changes; returns a function
+      // that removes the listener
+      onInput: function (listener) {
+        inputListeners.push(listener);
+        return function () {
+          var index = inputListeners.indexOf(listener);
+          if (index !== -1) inputListeners.splice(index, 1);
+        };
+      },
+      setToolInput: setToolInput,
+      // Watch the JSON-RPC traffic; returns a function that stops it
+      tap: function (listener) {
+        tapListeners.push(listener);
+        return function () {
+          var index = tapListeners.indexOf(listener);
+          if (index !== -1) tapListeners.splice(index, 1);
+        };
+      },
+      clearState: clearState,
+      history: function () {
+        return { entries: inputHistory.slice(), index: historyIndex };
+      },
+      restoreHistory: restoreHistory,
+      undo: function () {
+        restoreHistory(historyIndex - 1);
+      },
+      redo: function () {
+        restoreHistory(historyIndex + 1);
+      },
       execute: function (toolArgs) {
-        if (toolArgs && typeof toolArgs === "object") {
-          notify("ui/notifications/tool-input", { arguments: toolArgs });
-        }
+        setToolInput(toolArgs);
         notify("ui/notifications/trigger-tool-call", {});
       },
       reset: function () {
@@ -428,14 +2180,24 @@
         if (isFullscreen()) {
           exitFullscreen();
         } else {
-          enterFullscreen();
+          setDisplayMode("fullscreen");
         }
       },
+      displayMode: currentDisplayMode,
+      setDisplayMode: setDisplayMode,
+      togglePip: function () {
+        return setDisplayMode(pipActive ? "inline" : "pip");
+      },
       dispose: function () {
         var activeHost = hosts[config.instanceId] === host;
         if (disposed) return;
         disposed = true;
+        inputListeners = [];
+        tapListeners = [];
+        cancelAllToolCalls("Host was disposed");
         window.removeEventListener("message", onMessage);
+        closeChannel();
+        exitPip();
         if (isFullscreen()) {
           exitFullscreen();
         } else {
@@ -460,37 +2222,206 @@
       iframe.style.height = String(config.height);
     }
 
-    if (options.appSrcdoc != null) {
-      iframe.srcdoc = options.appSrcdoc;
+    // The sandbox must be in place before the document loads to take effect
+    var resourcePolicy = options.resourcePolicy || config.resourcePolicy || {};
+    iframe.setAttribute("sandbox", sandboxTokens(resourcePolicy));
+
+    var loadedHtml = null;
+
+    function loadSrcdoc(html) {
+      loadedHtml = String(html);
+      iframe.srcdoc = injectContentSecurityPolicy(
+        String(html),
+        buildContentSecurityPolicy(resourcePolicy.csp)
+      );
+    }
+
+    // Without app markup, fetch the app's ui:// resource: options.resourceUri
+    // names it, or an MCP transport's tools/list points at it. The read goes
+    // through options.readResource (the Shiny bus or the transport) and is
+    // shared with other embeds via the resource cache. A CSP declared in the
+    // resource's _meta.ui applies unless the caller set one.
+    function resolveResourceUri() {
+      if (options.resourceUri || config.resourceUri) {
+        return Promise.resolve(options.resourceUri || config.resourceUri);
+      }
+      return Promise.resolve(transport.connect ? transport.connect() : null)
+        .then(function () {
+          return transport.request("tools/list", {});
+        })
+        .then(function (result) {
+          var uri = uiResourceUri(result && result.tools, options.toolName);
+          if (!uri) {
+            throw new Error("The server has no tool with a ui:// resource");
+          }
+          return uri;
+        });
+    }
+
+    function loadFromResource() {
+      setHostStatus("connecting", "loading app...");
+      resolveResourceUri()
+        .then(function (uri) {
+          return loadAppResource(
+            uri,
+            options.resourceVersion || config.resourceVersion,
+            function (params) {
+              return options.readResource(params, host);
+            }
+          );
+        })
+        .then(function (resource) {
+          if (disposed) return;
+          if (resource.meta.csp && !resourcePolicy.csp) {
+            resourcePolicy = mergeObjects(resourcePolicy, {
+              csp: resource.meta.csp,
+            });
+          }
+          loadSrcdoc(resource.html);
+        })
+        ["catch"](function (err) {
+          if (disposed) return;
+          setHostStatus("error", "load error");
+          setError(container, err && err.message ? err.message : String(err));
+        });
+    }
+
+    // Load the app again, from new markup if given; it initializes afresh and
+    // sees the capabilities and context in effect now
+    function reload(html) {
+      if (disposed) return;
+      // The load being replaced can no longer take answers
+      frameLoad += 1;
+      cancelAllToolCalls("App reloaded");
+      if (html != null || loadedHtml != null) {
+        loadSrcdoc(html != null ? html : loadedHtml);
+      } else if (options.appSrc != null) {
+        iframe.src = options.appSrc;
+      } else if (typeof options.readResource === "function") {
+        loadFromResource();
+      }
     }
-    if (options.appSrc != null) {
+
+    if (options.appSrcdoc != null) {
+      loadSrcdoc(options.appSrcdoc);
+    } else if (options.appSrc != null) {
       iframe.src = options.appSrc;
+    } else if (
+      typeof options.readResource === "function" &&
+      (options.resourceUri ||
+        config.resourceUri ||
+        (transport && typeof transport.request === "function"))
+    ) {
+      loadFromResource();
     }
 
     window.addEventListener("message", onMessage);
-    updateFullscreenButton();
+    updateHistoryControls();
+    // Without a user gesture fullscreen can only come back as the overlay
+    var preferred = displayModeKey ? readDisplayPreference(displayModeKey) : null;
+    if (preferred) pipGeometry = preferred.pip || null;
+    if (preferred && availableDisplayModes.indexOf(preferred.mode) !== -1) {
+      if (preferred.mode === "pip") enterPip();
+      if (preferred.mode === "fullscreen") enterFallbackFullscreen();
+    }
+    updateDisplayModeControls();
     var previousHost = hosts[config.instanceId];
     hosts[config.instanceId] = host;
     if (previousHost && previousHost !== host) {
       previousHost.dispose();
     }
+    if (container._shinymcpLayout) {
+      container._shinymcpLayout.add(host);
+    }
     return host;
   }
 
+  // Wait for R to answer a bus request. An answer that never comes (R busy,
+  // erroring or gone) rejects after config.busTimeoutMs and cancels the
+  // request on the R side, so pendingToolCalls never keeps orphans.
+  function trackBusRequest(host, requestId, resolve, reject) {
+    var instanceId = host.config.instanceId;
+    var key = hostKey(instanceId, requestId);
+    var timeoutMs =
+      Number(host.config.busTimeoutMs) > 0
+        ? Number(host.config.busTimeoutMs)
+        : DEFAULT_BUS_TIMEOUT_MS;
+
+    pendingToolCalls[key] = {
+      resolve: resolve,
+      reject: reject,
+      timer: setTimeout(function () {
+        if (!settleBusRequest(key)) return;
+        sendCancelledEvent(instanceId, requestId, "Timed out");
+        reject(
+          new Error("No response from R after " + timeoutMs / 1000 + " seconds")
+        );
+      }, timeoutMs),
+    };
+  }
+
+  function settleBusRequest(key) {
+    var pending = pendingToolCalls[key];
+    if (!pending) return null;
+    clearTimeout(pending.timer);
+    delete pendingToolCalls[key];
+    return pending;
+  }
+
+  function sendCancelledEvent(instanceId, requestId, reason) {
+    sendHostEvent({
+      instanceId: instanceId,
+      method: "notifications/cancelled",
+      params: { requestId: requestId, reason: reason },
+    });
+  }
+
+  function cancelToolViaShiny(request, reason, host) {
+    var pending = settleBusRequest(
+      hostKey(host.config.instanceId, request.busRequestId)
+    );
+    if (!pending) return;
+    sendCancelledEvent(host.config.instanceId, request.busRequestId, reason);
+    pending.reject(new Error(reason));
+  }
+
+  // Bus request ids are unique on the page. The app's own JSON-RPC ids start
+  // again at 1 whenever its frame reloads, so they cannot tell R which call
+  // an answer or a cancellation belongs to.
+  function nextBusRequestId() {
+    busRequestSeq += 1;
+    return "host-" + busRequestSeq;
+  }
+
+  // Reject every bus request still waiting for a disposed instance
+  function rejectBusRequests(instanceId, reason) {
+    var prefix = hostKey(instanceId, "");
+    var keys = Object.keys(pendingToolCalls);
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].indexOf(prefix) !== 0) continue;
+      var pending = settleBusRequest(keys[i]);
+      if (pending) pending.reject(new Error(reason));
+    }
+  }
+
   function callToolViaShiny(request, host) {
     return new Promise(function (resolve, reject) {
       if (!hasShiny()) {
         reject(new Error("Shiny is not available for shinymcp host transport"));
         return;
       }
+      if (shinyDisconnected) {
+        reject(new Error(SHINY_DISCONNECTED_MESSAGE));
+        return;
+      }
 
-      var key = hostKey(host.config.instanceId, request.requestId);
-      pendingToolCalls[key] = { resolve: resolve, reject: reject };
+      request.busRequestId = nextBusRequestId();
+      trackBusRequest(host, request.busRequestId, resolve, reject);
 
       sendHostEvent({
         instanceId: host.config.instanceId,
         method: "tools/call",
-        requestId: request.requestId,
+        requestId: request.busRequestId,
         params: {
           name: request.name,
           arguments: request.arguments || {},
@@ -499,6 +2430,30 @@
     });
   }
 
+  // Send an app request other than tools/call to R and wait for the answer
+  function requestViaShiny(host, method, params) {
+    return new Promise(function (resolve, reject) {
+      if (!hasShiny()) {
+        reject(new Error("Shiny is not available for shinymcp host transport"));
+        return;
+      }
+      if (shinyDisconnected) {
+        reject(new Error(SHINY_DISCONNECTED_MESSAGE));
+        return;
+      }
+
+      var requestId = nextBusRequestId();
+      trackBusRequest(host, requestId, resolve, reject);
+
+      sendHostEvent({
+        instanceId: host.config.instanceId,
+        method: method,
+        requestId: requestId,
+        params: params || {},
+      });
+    });
+  }
+
   function initContainer(container) {
     if (!container) return;
 
@@ -508,7 +2463,8 @@
     }
 
     var config = readContainerConfig(container);
-    if (!config || !config.instanceId || !config.appHtml) return;
+    if (!config || !config.instanceId) return;
+    if (!config.appHtml && !config.resourceUri) return;
 
     var iframe = container.querySelector("[data-shinymcp-host-frame]");
     if (!iframe) return;
@@ -523,18 +2479,21 @@
       iframe: iframe,
       config: config,
       appSrcdoc: config.appHtml,
+      resourceUri: config.resourceUri,
+      resourceVersion: config.resourceVersion,
+      // Only a stable key can be restored; instance ids are new each session
+      persist:
+        config.persist != null ? config.persist : config.stateKey ? "session" : false,
       hostContext: {
         instanceId: config.instanceId,
         initialArguments: config.initialArguments || null,
       },
       initialize: function () {
         return {
-          protocolVersion: PROTOCOL_VERSION,
           hostInfo: {
             name: "shinymcp-shiny-host",
             version: "0.1.0",
           },
-          hostCapabilities: {},
           hostContext: {
             instanceId: config.instanceId,
             initialArguments: config.initialArguments || null,
@@ -542,7 +2501,16 @@
         };
       },
       callTool: callToolViaShiny,
+      cancelTool: cancelToolViaShiny,
+      sendMessage: function (params, host) {
+        return requestViaShiny(host, "ui/message", params);
+      },
+      readResource: function (params, host) {
+        return requestViaShiny(host, "resources/read", params);
+      },
       onNotification: function (method, params) {
+        // The host reports cancellations itself, once per call it drops
+        if (method === "notifications/cancelled") return;
         sendHostEvent({
           instanceId: config.instanceId,
           method: method,
@@ -550,6 +2518,7 @@
         });
       },
       onDispose: function () {
+        rejectBusRequests(config.instanceId, "Host was disposed");
         sendHostEvent({
           instanceId: config.instanceId,
           method: "ui/resource-teardown",
@@ -561,6 +2530,41 @@
     setStatus(container, "connecting", "connecting...");
   }
 
+  // Hosts created for shinymcp containers; createHost() callers with their
+  // own transport are left alone
+  function shinyHosts() {
+    var result = [];
+    var nodes = document.querySelectorAll("[data-shinymcp-host]");
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i]._shinymcpHost) result.push(nodes[i]._shinymcpHost);
+    }
+    return result;
+  }
+
+  // Fail everything waiting on R with an isError result instead of leaving
+  // the app on "running..."
+  function onShinyDisconnected() {
+    shinyDisconnected = true;
+    var list = shinyHosts();
+    for (var i = 0; i < list.length; i++) {
+      list[i].disconnect(SHINY_DISCONNECTED_MESSAGE);
+      rejectBusRequests(list[i].config.instanceId, SHINY_DISCONNECTED_MESSAGE);
+    }
+  }
+
+  // A reconnect starts a new R session, which registers each embedded app
+  // again and sends shinymcp-host-init; that message resumes the host.
+  function onShinyConnected() {
+    if (!shinyDisconnected) return;
+    shinyDisconnected = false;
+    var list = shinyHosts();
+    for (var i = 0; i < list.length; i++) {
+      if (!list[i].isConnected()) {
+        setStatus(list[i].container, "disconnected", "reconnecting...");
+      }
+    }
+  }
+
   function cancelDisconnectedHostDispose(host) {
     var timer = host && host._shinymcpDisconnectDisposeTimer;
     if (!timer) return;
@@ -578,6 +2582,461 @@
     }, DISCONNECT_DISPOSE_DELAY_MS);
   }
 
+  // ---------------------------------------------------------------------------
+  // Layouts: several hosted apps on one page
+  // ---------------------------------------------------------------------------
+  // createLayout() arranges the host containers inside options.container as
+  // tabs, a grid with resizable columns, or resizable split panes. With link
+  // set, a tool-input or model-context change in one instance is forwarded
+  // as tool-input to every other instance that takes an argument of the same
+  // name (link: true), or one of the listed names (link: ["species", ...]).
+  // Forwarded values that already match the target are skipped, so linked
+  // apps do not echo.
+  var LAYOUT_MODES = ["tabs", "grid", "split"];
+  var MIN_PANE_SHARE = 0.15; // smallest pane, as a share of an even split
+  var RESIZE_KEY_STEP = 0.05;
+  var layoutSeq = 0;
+
+  function sumOf(values) {
+    var total = 0;
+    for (var i = 0; i < values.length; i++) total += values[i];
+    return total;
+  }
+
+  // Move the boundary after weights[index] by delta, a share of the total
+  function shiftWeight(weights, index, delta) {
+    var total = sumOf(weights);
+    var min = (total / weights.length) * MIN_PANE_SHARE;
+    var pair = weights[index] + weights[index + 1];
+    var next = weights[index] + delta * total;
+    weights[index] = Math.max(min, Math.min(pair - min, next));
+    weights[index + 1] = pair - weights[index];
+  }
+
+  // Drag a separator; onDelta gets the pointer travel as a share of size
+  function dragSeparator(event, root, horizontal, size, onDelta) {
+    if (event.button !== undefined && event.button !== 0) return;
+    event.preventDefault();
+    var start = horizontal ? event.clientX : event.clientY;
+
+    function move(e) {
+      onDelta(((horizontal ? e.clientX : e.clientY) - start) / (size || 1));
+    }
+
+    function stop() {
+      document.removeEventListener("pointermove", move);
+      document.removeEventListener("pointerup", stop);
+      document.removeEventListener("pointercancel", stop);
+      root.removeAttribute("data-shinymcp-resizing");
+    }
+
+    // Frames would swallow the pointer while it crosses them
+    root.setAttribute("data-shinymcp-resizing", "true");
+    document.addEventListener("pointermove", move);
+    document.addEventListener("pointerup", stop);
+    document.addEventListener("pointercancel", stop);
+  }
+
+  function resizeKeyDelta(event, horizontal) {
+    var back = horizontal ? "ArrowLeft" : "ArrowUp";
+    var forward = horizontal ? "ArrowRight" : "ArrowDown";
+    if (event.key === back) return -RESIZE_KEY_STEP;
+    if (event.key === forward) return RESIZE_KEY_STEP;
+    return 0;
+  }
+
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function createLayout(options) {
+    var root = options.container;
+    var mode = LAYOUT_MODES.indexOf(options.mode) === -1 ? "tabs" : options.mode;
+    var columns = Math.max(1, Math.floor(Number(options.columns)) || 2);
+    var horizontal = options.direction !== "vertical";
+    var link = options.link || false;
+    var layoutId = "shinymcp-layout-" + ++layoutSeq;
+    var items = []; // { container, pane, title, tab, host, unlink }
+    var paneWeights = []; // split sizes, one per item
+    var columnWeights = [];
+    var selected = 0;
+    var separators = [];
+    var forwarding = false;
+    var disposed = false;
+
+    for (var c = 0; c < columns; c++) columnWeights.push(1);
+
+    var tablist = document.createElement("div");
+    tablist.className = "shinymcp-layout-tabs";
+    tablist.setAttribute("role", "tablist");
+    tablist.addEventListener("keydown", onTabKeydown);
+    root.insertBefore(tablist, root.firstChild);
+    root.classList.add("shinymcp-layout");
+
+    // The pane is the root's child holding the host container; grid and
+    // split panes have to be direct children to be laid out. Containers are
+    // never moved in: moving a running host's iframe reloads the app.
+    function paneFor(container) {
+      var node = container;
+      while (node && node.parentNode !== root) node = node.parentNode;
+      if (!node) {
+        throw new Error("A host container must be inside the layout container");
+      }
+      return node;
+    }
+
+    function findItem(target) {
+      var container = target && target.container ? target.container : target;
+      for (var i = 0; i < items.length; i++) {
+        if (items[i].container === container) return items[i];
+      }
+      return null;
+    }
+
+    function itemTitle(item, index) {
+      return (
+        item.title ||
+        item.container.getAttribute("data-shinymcp-title") ||
+        item.pane.getAttribute("data-shinymcp-title") ||
+        (item.host && item.host.config.title) ||
+        "App " + (index + 1)
+      );
+    }
+
+    // ---- Linking ----
+    function linkedName(name) {
+      if (link === true) return true;
+      return Array.isArray(link) && link.indexOf(name) !== -1;
+    }
+
+    function forwardInput(args, source, sourceHost) {
+      if (forwarding || !link || !args) return;
+      forwarding = true;
+      try {
+        for (var i = 0; i < items.length; i++) {
+          var target = items[i].host;
+          if (!target || target === sourceHost || !target.isConnected()) continue;
+          var accepted = target.argumentNames();
+          var current = target.toolInput() || {};
+          var shared = null;
+          var names = Object.keys(args);
+          for (var j = 0; j < names.length; j++) {
+            var name = names[j];
+            if (!linkedName(name) || accepted.indexOf(name) === -1) continue;
+            if (sameValue(current[name], args[name])) continue;
+            shared = shared || {};
+            shared[name] = args[name];
+          }
+          if (!shared) continue;
+          // Instances that wait for Apply only get their inputs filled in
+          if (
+            target.config.trigger === "submit" ||
+            target.config.trigger === "manual"
+          ) {
+            target.setToolInput(shared);
+          } else {
+            target.execute(shared);
+          }
+        }
+      } finally {
+        forwarding = false;
+      }
+    }
+
+    function attach(item, host) {
+      if (item.host === host) return;
+      if (item.unlink) item.unlink();
+      item.host = host;
+      item.unlink = host.onInput(forwardInput);
+    }
+
+    // ---- Tabs ----
+    function select(target) {
+      var index = typeof target === "number" ? target : items.indexOf(findItem(target));
+      if (index < 0 || index >= items.length) return;
+      selected = index;
+      render();
+      var host = items[index].host;
+      // A frame that was hidden may have missed size and context changes
+      if (host && mode === "tabs") host.refreshHostContext();
+    }
+
+    function onTabKeydown(event) {
+      var next = null;
+      if (event.key === "ArrowRight") next = (selected + 1) % items.length;
+      if (event.key === "ArrowLeft") next = (selected - 1 + items.length) % items.length;
+      if (event.key === "Home") next = 0;
+      if (event.key === "End") next = items.length - 1;
+      if (next === null || items.length === 0) return;
+      event.preventDefault();
+      select(next);
+      items[next].tab.focus();
+    }
+
+    function makeTab(item) {
+      var tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "shinymcp-layout-tab";
+      tab.setAttribute("role", "tab");
+      tab.addEventListener("click", function () {
+        select(items.indexOf(item));
+      });
+      return tab;
+    }
+
+    // ---- Resizing ----
+    function makeSeparator(weights, index, isHorizontal) {
+      var separator = document.createElement("div");
+      separator.className = "shinymcp-layout-separator";
+      separator.setAttribute("role", "separator");
+      separator.setAttribute(
+        "aria-orientation",
+        isHorizontal ? "vertical" : "horizontal"
+      );
+      separator.tabIndex = 0;
+      separator.addEventListener("pointerdown", function (event) {
+        var start = weights.slice();
+        var size = isHorizontal ? root.clientWidth : root.clientHeight;
+        dragSeparator(event, root, isHorizontal, size, function (delta) {
+          for (var i = 0; i < start.length; i++) weights[i] = start[i];
+          shiftWeight(weights, index, delta);
+          applySizes();
+        });
+      });
+      separator.addEventListener("keydown", function (event) {
+        var delta = resizeKeyDelta(event, isHorizontal);
+        if (!delta) return;
+        event.preventDefault();
+        shiftWeight(weights, index, delta);
+        applySizes();
+      });
+      return separator;
+    }
+
+    function clearSeparators() {
+      for (var i = 0; i < separators.length; i++) {
+        if (separators[i].parentNode) {
+          separators[i].parentNode.removeChild(separators[i]);
+        }
+      }
+      separators = [];
+    }
+
+    function applySizes() {
+      var total, i;
+      if (mode === "split") {
+        total = sumOf(paneWeights);
+        for (i = 0; i < items.length; i++) {
+          items[i].pane.style.flex = paneWeights[i] / total + " 1 0";
+        }
+      }
+      if (mode === "grid") {
+        var tracks = [];
+        total = sumOf(columnWeights);
+        for (i = 0; i < columnWeights.length; i++) {
+          tracks.push(columnWeights[i] / total + "fr");
+        }
+        root.style.gridTemplateColumns = tracks.join(" ");
+        // Separators sit in the gap after each column: the share of the
+        // width left by the gaps, plus the gaps before it
+        var before = 0;
+        for (i = 0; i < separators.length; i++) {
+          before += columnWeights[i] / total;
+          separators[i].style.left =
+            "calc((100% - " + (columnWeights.length - 1) +
+            " * var(--shinymcp-layout-gap)) * " + before +
+            " + " + (i + 0.5) + " * var(--shinymcp-layout-gap))";
+        }
+      }
+      var weights = mode === "grid" ? columnWeights : paneWeights;
+      for (i = 0; i < separators.length; i++) {
+        var share = sumOf(weights.slice(0, i + 1)) / sumOf(weights);
+        separators[i].setAttribute("aria-valuenow", String(Math.round(share * 100)));
+      }
+    }
+
+    function removeItem(item) {
+      var index = items.indexOf(item);
+      if (item.unlink) item.unlink();
+      if (item.tab.parentNode) item.tab.parentNode.removeChild(item.tab);
+      delete item.container._shinymcpLayout;
+      items.splice(index, 1);
+      paneWeights.splice(index, 1);
+    }
+
+    // ---- Rendering ----
+    function render() {
+      if (disposed) return;
+      // Drop panes that were removed from the page
+      for (var gone = items.length - 1; gone >= 0; gone--) {
+        if (!root.contains(items[gone].pane)) removeItem(items[gone]);
+      }
+      if (selected >= items.length) selected = Math.max(0, items.length - 1);
+
+      clearSeparators();
+      root.setAttribute("data-shinymcp-layout", mode);
+      root.setAttribute(
+        "data-shinymcp-direction",
+        horizontal ? "horizontal" : "vertical"
+      );
+      root.style.gridTemplateColumns = "";
+      tablist.hidden = mode !== "tabs";
+
+      for (var i = 0; i < items.length; i++) {
+        var item = items[i];
+        var tabId = layoutId + "-tab-" + i;
+        var paneId = item.pane.id || layoutId + "-pane-" + i;
+        item.pane.id = paneId;
+        item.tab.id = tabId;
+        item.tab.textContent = itemTitle(item, i);
+        item.tab.setAttribute("aria-controls", paneId);
+        item.tab.setAttribute("aria-selected", String(i === selected));
+        item.tab.tabIndex = i === selected ? 0 : -1;
+        tablist.appendChild(item.tab);
+        item.pane.style.flex = "";
+
+        if (mode === "tabs") {
+          item.pane.setAttribute("role", "tabpanel");
+          item.pane.setAttribute("aria-labelledby", tabId);
+          item.pane.hidden = i !== selected;
+        } else {
+          item.pane.removeAttribute("role");
+          item.pane.removeAttribute("aria-labelledby");
+          item.pane.hidden = false;
+        }
+
+        if (mode === "split" && i < items.length - 1) {
+          var separator = makeSeparator(paneWeights, i, horizontal);
+          root.insertBefore(separator, item.pane.nextSibling);
+          separators.push(separator);
+        }
+      }
+
+      if (mode === "grid") {
+        for (var col = 0; col < columnWeights.length - 1; col++) {
+          var handle = makeSeparator(columnWeights, col, true);
+          handle.classList.add("shinymcp-layout-column-separator");
+          root.appendChild(handle);
+          separators.push(handle);
+        }
+      }
+      applySizes();
+    }
+
+    var layout = {
+      container: root,
+      // Add a host (or its container); adding a host whose container is
+      // already in the layout re-attaches the recreated host
+      add: function (target, itemOptions) {
+        if (disposed || !target) return layout;
+        var container = target.container || target;
+        var item = findItem(container);
+        if (!item) {
+          item = {
+            container: container,
+            pane: paneFor(container),
+            title: itemOptions && itemOptions.title,
+            tab: null,
+            host: null,
+            unlink: null,
+          };
+          item.tab = makeTab(item);
+          items.push(item);
+          paneWeights.push(1);
+          container._shinymcpLayout = layout;
+        }
+        var host = target.container ? target : container._shinymcpHost;
+        if (host) attach(item, host);
+        render();
+        return layout;
+      },
+      remove: function (target) {
+        var item = findItem(target);
+        if (!item) return layout;
+        removeItem(item);
+        item.pane.hidden = false;
+        item.pane.style.flex = "";
+        item.pane.removeAttribute("role");
+        item.pane.removeAttribute("aria-labelledby");
+        render();
+        return layout;
+      },
+      select: function (target) {
+        select(target);
+        return layout;
+      },
+      setMode: function (nextMode) {
+        if (LAYOUT_MODES.indexOf(nextMode) === -1) {
+          throw new Error("Unknown layout mode: " + nextMode);
+        }
+        mode = nextMode;
+        render();
+        return layout;
+      },
+      mode: function () {
+        return mode;
+      },
+      hosts: function () {
+        var out = [];
+        for (var i = 0; i < items.length; i++) {
+          if (items[i].host) out.push(items[i].host);
+        }
+        return out;
+      },
+      refresh: render,
+      dispose: function () {
+        if (disposed) return;
+        while (items.length > 0) layout.remove(items[0].container);
+        disposed = true;
+        clearSeparators();
+        if (tablist.parentNode) tablist.parentNode.removeChild(tablist);
+        root.classList.remove("shinymcp-layout");
+        root.removeAttribute("data-shinymcp-layout");
+        root.removeAttribute("data-shinymcp-direction");
+        root.style.gridTemplateColumns = "";
+        if (root._shinymcpLayoutManager === layout) {
+          delete root._shinymcpLayoutManager;
+        }
+      },
+    };
+
+    root._shinymcpLayoutManager = layout;
+    var initial = options.hosts || [];
+    for (var h = 0; h < initial.length; h++) layout.add(initial[h]);
+    render();
+    return layout;
+  }
+
+  // Markup can ask for a layout: data-shinymcp-layout="tabs|grid|split" on an
+  // element around the host containers, with data-shinymcp-columns,
+  // data-shinymcp-direction and data-shinymcp-link ("true" or a comma
+  // separated list of argument names).
+  function readLayoutLink(el) {
+    var value = el.getAttribute("data-shinymcp-link");
+    if (value == null || value === "false") return false;
+    if (value === "" || value === "true") return true;
+    return value.split(",").map(function (name) {
+      return name.trim();
+    }).filter(Boolean);
+  }
+
+  function initLayout(el) {
+    if (el._shinymcpLayoutManager) return el._shinymcpLayoutManager;
+    return createLayout({
+      container: el,
+      mode: el.getAttribute("data-shinymcp-layout"),
+      columns: el.getAttribute("data-shinymcp-columns"),
+      direction: el.getAttribute("data-shinymcp-direction"),
+      link: readLayoutLink(el),
+    });
+  }
+
+  function scanForHost(node) {
+    var layoutRoot = node.closest ? node.closest("[data-shinymcp-layout]") : null;
+    if (layoutRoot) initLayout(layoutRoot).add(node);
+    initContainer(node);
+  }
+
   function scanForHosts(root) {
     var scope = root && root.querySelectorAll ? root : document;
     // querySelectorAll only matches descendants, so check the root itself too.
@@ -588,11 +3047,11 @@
       scope.matches &&
       scope.matches("[data-shinymcp-host]")
     ) {
-      initContainer(scope);
+      scanForHost(scope);
     }
     var nodes = scope.querySelectorAll("[data-shinymcp-host]");
     for (var i = 0; i < nodes.length; i++) {
-      initContainer(nodes[i]);
+      scanForHost(nodes[i]);
     }
   }
 
@@ -633,15 +3092,23 @@
 
   window.shinymcpHost = window.shinymcpHost || {};
   window.shinymcpHost.createHost = createHost;
+  window.shinymcpHost.createLayout = createLayout;
+  window.shinymcpHost.clearState = clearHostState;
+  window.shinymcpHost.transports = {
+    http: httpTransport,
+    fetch: fetchTransport,
+  };
 
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", function () {
       scanForHosts(document);
       ensureObserver();
+      ensureThemeObserver();
     });
   } else {
     scanForHosts(document);
     ensureObserver();
+    ensureThemeObserver();
   }
 
   if (window.Shiny && typeof window.Shiny.addCustomMessageHandler === "function") {
@@ -649,17 +3116,38 @@
       var container = document.getElementById(msg.id);
       if (!container) return;
       writeContainerConfig(container, msg.config || {});
+      var existing = container._shinymcpHost;
+      if (
+        existing &&
+        msg.config &&
+        msg.config.instanceId &&
+        (!existing.isConnected() ||
+          existing.config.instanceId !== msg.config.instanceId)
+      ) {
+        existing.reconnect(msg.config.instanceId);
+        return;
+      }
       initContainer(container);
     });
 
     window.Shiny.addCustomMessageHandler("shinymcp-host-response", function (msg) {
-      var key = hostKey(msg.instanceId, msg.requestId);
-      var pending = pendingToolCalls[key];
+      var pending = settleBusRequest(hostKey(msg.instanceId, msg.requestId));
       if (!pending) return;
-      delete pendingToolCalls[key];
+      if (msg.error) {
+        var error = new Error(msg.error.message || "Host request failed");
+        if (typeof msg.error.code === "number") error.code = msg.error.code;
+        pending.reject(error);
+        return;
+      }
       pending.resolve(msg.result || {});
     });
 
+    if (window.jQuery) {
+      // Shiny announces connection changes as jQuery events on document
+      window.jQuery(document).on("shiny:disconnected", onShinyDisconnected);
+      window.jQuery(document).on("shiny:connected", onShinyConnected);
+    }
+
     window.Shiny.addCustomMessageHandler("shinymcp-host-command", function (msg) {
       var host = hosts[msg.instanceId];
       if (!host) return;
@@ -0,0 +1,251 @@
+// Simulated host for the preview page: the theme, viewport, display mode,
+// locale and capabilities the app is told about, with presets that resemble
+// the hosts apps are shipped to. Context changes reach the app live through
+// setHostContext(); capabilities and host info are only read at
+// ui/initialize, so changing them reloads the app.
+(function () {
+  "use strict";
+
+  var PALETTES = {
+    light: {
+      "--color-background-primary": "#ffffff",
+      "--color-background-secondary": "#f7f7f8",
+      "--color-text-primary": "#1a1a1a",
+      "--color-text-secondary": "#6b6b76",
+      "--color-border-primary": "#e0e0e4",
+      "--color-ring-primary": "#0066cc",
+      "--font-sans": "system-ui, -apple-system, sans-serif",
+      "--font-mono": 'ui-monospace, "SF Mono", monospace',
+    },
+    dark: {
+      "--color-background-primary": "#1e1e2e",
+      "--color-background-secondary": "#181825",
+      "--color-text-primary": "#cdd6f4",
+      "--color-text-secondary": "#a6adc8",
+      "--color-border-primary": "#45475a",
+      "--color-ring-primary": "#89b4fa",
+      "--font-sans": "system-ui, -apple-system, sans-serif",
+      "--font-mono": 'ui-monospace, "SF Mono", monospace',
+    },
+  };
+
+  // width and height in CSS pixels; the preview's own layout when null
+  var VIEWPORTS = {
+    preview: { label: "Preview width", size: null },
+    phone: { label: "Phone 375\u00d7667", size: { width: 375, height: 667 } },
+    tablet: { label: "Tablet 768\u00d71024", size: { width: 768, height: 1024 } },
+    desktop: { label: "Desktop 1280\u00d7800", size: { width: 1280, height: 800 } },
+  };
+
+  var LOCALES = ["en-US", "en-GB", "de-DE", "fr-FR", "es-ES", "ja-JP", "ar-EG"];
+
+  var DISPLAY_MODES = ["inline", "fullscreen", "pip"];
+
+  var CAPABILITIES = ["openLinks", "logging", "serverTools", "serverResources", "message"];
+
+  // Rough shapes of real hosts, not exact copies of any of them
+  var PRESETS = {
+    preview: {
+      label: "shinymcp preview",
+      hostInfo: { name: "shinymcp-preview", version: "0.1.0" },
+      platform: "web",
+      displayModes: ["inline", "fullscreen"],
+      capabilities: CAPABILITIES,
+    },
+    chat: {
+      label: "Chat assistant (web)",
+      hostInfo: { name: "simulated-chat-web", version: "0.1.0" },
+      platform: "web",
+      displayModes: ["inline", "fullscreen", "pip"],
+      capabilities: ["openLinks", "serverTools", "message"],
+    },
+    desktop: {
+      label: "Chat assistant (desktop)",
+      hostInfo: { name: "simulated-chat-desktop", version: "0.1.0" },
+      platform: "desktop",
+      displayModes: ["inline", "fullscreen"],
+      capabilities: CAPABILITIES,
+    },
+    editor: {
+      label: "Code editor panel",
+      hostInfo: { name: "simulated-editor", version: "0.1.0" },
+      platform: "desktop",
+      theme: "dark",
+      displayModes: ["inline"],
+      capabilities: ["openLinks", "logging", "serverTools"],
+    },
+  };
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function select(name, label, choices) {
+    var wrapper = el("label", "context-control");
+    wrapper.appendChild(el("span", "context-label", label));
+    var control = el("select");
+    control.name = name;
+    for (var i = 0; i < choices.length; i++) {
+      var option = el("option", null, choices[i].label);
+      option.value = choices[i].value;
+      control.appendChild(option);
+    }
+    wrapper.appendChild(control);
+    return { wrapper: wrapper, control: control };
+  }
+
+  function choicesOf(object) {
+    return Object.keys(object).map(function (key) {
+      return { value: key, label: object[key].label };
+    });
+  }
+
+  function plain(values) {
+    return values.map(function (value) {
+      return { value: value, label: value };
+    });
+  }
+
+  function browserTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function prefersDark() {
+    return !!(
+      window.matchMedia &&
+      window.matchMedia("(prefers-color-scheme: dark)").matches
+    );
+  }
+
+  function createHostContextPanel(options) {
+    var panel = options.panel;
+    var onChange = options.onChange || function () {};
+
+    var preset = select("preset", "Host", choicesOf(PRESETS));
+    var theme = select("theme", "Theme", plain(["light", "dark"]));
+    var viewport = select("viewport", "Viewport", choicesOf(VIEWPORTS));
+    var displayMode = select(
+      "displayMode",
+      "Display mode",
+      [{ value: "", label: "live" }].concat(plain(DISPLAY_MODES))
+    );
+    var locale = select("locale", "Locale", plain(LOCALES));
+
+    var capabilities = el("details", "context-capabilities");
+    capabilities.appendChild(el("summary", null, "Capabilities"));
+    var capabilityBoxes = {};
+    CAPABILITIES.forEach(function (name) {
+      var row = el("label", "context-capability");
+      var box = el("input");
+      box.type = "checkbox";
+      box.name = name;
+      capabilityBoxes[name] = box;
+      row.appendChild(box);
+      row.appendChild(document.createTextNode(" " + name));
+      capabilities.appendChild(row);
+    });
+
+    [preset, theme, viewport, displayMode, locale].forEach(function (part) {
+      panel.appendChild(part.wrapper);
+    });
+    panel.appendChild(capabilities);
+
+    function currentPreset() {
+      return PRESETS[preset.control.value] || PRESETS.preview;
+    }
+
+    function applyPreset() {
+      var chosen = currentPreset();
+      theme.control.value = chosen.theme || (prefersDark() ? "dark" : "light");
+      CAPABILITIES.forEach(function (name) {
+        capabilityBoxes[name].checked = chosen.capabilities.indexOf(name) !== -1;
+      });
+      var modes = displayMode.control.options;
+      for (var i = 0; i < modes.length; i++) {
+        modes[i].disabled =
+          modes[i].value !== "" && chosen.displayModes.indexOf(modes[i].value) === -1;
+      }
+      if (displayMode.control.selectedOptions[0].disabled) {
+        displayMode.control.value = "";
+      }
+    }
+
+    function viewportSize() {
+      var chosen = VIEWPORTS[viewport.control.value];
+      return chosen ? chosen.size : null;
+    }
+
+    // The hostContext fields this panel controls; displayMode is left to the
+    // host unless one is picked
+    function context() {
+      var chosen = currentPreset();
+      var size = viewportSize();
+      var ctx = {
+        theme: theme.control.value,
+        styles: { variables: PALETTES[theme.control.value] },
+        locale: locale.control.value,
+        timeZone: browserTimeZone(),
+        platform: chosen.platform,
+        availableDisplayModes: chosen.displayModes.slice(),
+        containerDimensions: size
+          ? { width: size.width, maxHeight: size.height }
+          : { maxWidth: 900 },
+      };
+      if (displayMode.control.value) ctx.displayMode = displayMode.control.value;
+      return ctx;
+    }
+
+    // Unchecked capabilities are withdrawn (null) rather than left out, so
+    // the host's defaults do not bring them back
+    function hostCapabilities() {
+      var out = { availableDisplayModes: currentPreset().displayModes.slice() };
+      CAPABILITIES.forEach(function (name) {
+        out[name] = capabilityBoxes[name].checked ? {} : null;
+      });
+      return out;
+    }
+
+    function hostInfo() {
+      return currentPreset().hostInfo;
+    }
+
+    var navigatorLocale = navigator.language || "en-US";
+    if (LOCALES.indexOf(navigatorLocale) === -1) {
+      locale.control.insertBefore(
+        el("option", null, navigatorLocale),
+        locale.control.firstChild
+      );
+    }
+    locale.control.value = navigatorLocale;
+    applyPreset();
+
+    preset.control.addEventListener("change", function () {
+      applyPreset();
+      onChange("initialize");
+    });
+    capabilities.addEventListener("change", function () {
+      onChange("initialize");
+    });
+    [theme, viewport, displayMode, locale].forEach(function (part) {
+      part.control.addEventListener("change", function () {
+        onChange("context");
+      });
+    });
+
+    return {
+      context: context,
+      hostCapabilities: hostCapabilities,
+      hostInfo: hostInfo,
+      viewport: viewportSize,
+    };
+  }
+
+  window.shinymcpHostContext = { create: createHostContextPanel };
+})();
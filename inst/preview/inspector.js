@@ -0,0 +1,339 @@
+// Protocol inspector for the preview host: every JSON-RPC message between the
+// host and the app, fed by createHost()'s message tap.
+(function () {
+  "use strict";
+
+  var EXPORT_FORMAT = "shinymcp-inspector";
+  var EXPORT_VERSION = 1;
+
+  function classify(message) {
+    if (message.method && message.id !== undefined) return "request";
+    if (message.method) return "notification";
+    if (message.error) return "error";
+    return "response";
+  }
+
+  function payloadOf(message) {
+    if (message.method) return message.params;
+    return message.error || message.result;
+  }
+
+  function formatTime(ms) {
+    return "+" + (ms / 1000).toFixed(3) + "s";
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function createInspector(options) {
+    var panel = options.panel;
+    var appName = options.appName || "app";
+    // The app page is exported too, so a session can be replayed headlessly
+    // (tests/js/harness.js)
+    var appHtml = options.appHtml || function () {
+      return null;
+    };
+    var entries = [];
+    var pending = {}; // requests awaiting a response, by direction and id
+    var startedAt = Date.now();
+    var seq = 0;
+    var methods = {};
+
+    // ---- Panel ----
+    var toolbar = el("div", "inspector-toolbar");
+    var filter = el("input", "inspector-filter");
+    filter.type = "search";
+    filter.placeholder = "filter by method";
+    filter.setAttribute("list", "inspectorMethods");
+    filter.setAttribute("aria-label", "Filter messages by method");
+    var methodList = el("datalist");
+    methodList.id = "inspectorMethods";
+    var count = el("span", "inspector-count", "0 messages");
+    var exportButton = el("button", "inspector-button", "Export");
+    exportButton.type = "button";
+    var importButton = el("button", "inspector-button", "Import");
+    importButton.type = "button";
+    var importInput = el("input");
+    importInput.type = "file";
+    importInput.accept = "application/json,.json";
+    importInput.hidden = true;
+    var clearButton = el("button", "inspector-button", "Clear");
+    clearButton.type = "button";
+    var notice = el("div", "inspector-notice");
+    notice.hidden = true;
+    var list = el("div", "inspector-list");
+
+    toolbar.appendChild(filter);
+    toolbar.appendChild(methodList);
+    toolbar.appendChild(count);
+    toolbar.appendChild(exportButton);
+    toolbar.appendChild(importButton);
+    toolbar.appendChild(importInput);
+    toolbar.appendChild(clearButton);
+    panel.appendChild(toolbar);
+    panel.appendChild(notice);
+    panel.appendChild(list);
+
+    function showNotice(text) {
+      notice.textContent = text || "";
+      notice.hidden = !text;
+    }
+
+    function matchesFilter(entry) {
+      var term = filter.value.replace(/^\s+|\s+$/g, "").toLowerCase();
+      return !term || (entry.method || "").toLowerCase().indexOf(term) !== -1;
+    }
+
+    function updateCount() {
+      var shown = list.querySelectorAll(".inspector-entry:not([hidden])").length;
+      count.textContent =
+        shown === entries.length
+          ? entries.length + " messages"
+          : shown + " of " + entries.length + " messages";
+    }
+
+    function noteMethod(method) {
+      if (!method || methods[method]) return;
+      methods[method] = true;
+      var option = el("option");
+      option.value = method;
+      methodList.appendChild(option);
+    }
+
+    function rowFor(entrySeq) {
+      return list.querySelector('[data-seq="' + entrySeq + '"]');
+    }
+
+    function reveal(entrySeq) {
+      var row = rowFor(entrySeq);
+      if (!row) return;
+      row.hidden = false;
+      row.classList.add("open");
+      row.classList.add("flash");
+      setTimeout(function () {
+        row.classList.remove("flash");
+      }, 800);
+      if (row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+    }
+
+    function linkTo(label, entrySeq) {
+      var link = el("button", "inspector-link", label + " #" + entrySeq);
+      link.type = "button";
+      link.addEventListener("click", function (event) {
+        event.stopPropagation();
+        reveal(entrySeq);
+      });
+      return link;
+    }
+
+    function renderEntry(entry) {
+      var row = el("div", "inspector-entry " + entry.kind);
+      row.setAttribute("data-seq", String(entry.seq));
+      var summary = el("div", "summary");
+      summary.appendChild(el("span", "time", formatTime(entry.t)));
+      summary.appendChild(
+        el(
+          "span",
+          "dir " + entry.direction,
+          entry.direction === "in" ? "\u2190" : "\u2192"
+        )
+      );
+      summary.appendChild(el("span", "kind", entry.kind));
+      summary.appendChild(el("span", "method", entry.method || "(unknown request)"));
+      if (entry.id !== undefined) {
+        summary.appendChild(el("span", "id", "id " + entry.id));
+      }
+      if (entry.latencyMs != null) {
+        summary.appendChild(el("span", "latency", entry.latencyMs + " ms"));
+      }
+      var links = el("span", "links");
+      summary.appendChild(links);
+      if (entry.replyTo) links.appendChild(linkTo("request", entry.replyTo));
+      row.appendChild(summary);
+
+      var payload = payloadOf(entry.message);
+      row.appendChild(
+        el(
+          "pre",
+          "detail",
+          payload === undefined ? "(no payload)" : JSON.stringify(payload, null, 2)
+        )
+      );
+      row.addEventListener("click", function () {
+        row.classList.toggle("open");
+      });
+      row.hidden = !matchesFilter(entry);
+
+      var atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+      list.appendChild(row);
+      if (atBottom) list.scrollTop = list.scrollHeight;
+    }
+
+    // The request row learns about its response once that arrives
+    function linkResponse(request, response) {
+      var row = rowFor(request.seq);
+      if (!row) return;
+      var links = row.querySelector(".links");
+      links.appendChild(linkTo(response.kind, response.seq));
+      var latency = el("span", "latency", response.latencyMs + " ms");
+      links.parentNode.insertBefore(latency, links);
+    }
+
+    function record(direction, message, t) {
+      var entry = {
+        seq: ++seq,
+        t: t,
+        direction: direction,
+        kind: classify(message),
+        id: message.id,
+        method: message.method,
+        message: JSON.parse(JSON.stringify(message)),
+      };
+
+      if (entry.kind === "request") {
+        pending[direction + ":" + message.id] = entry;
+      } else if (entry.kind === "response" || entry.kind === "error") {
+        var key = (direction === "in" ? "out" : "in") + ":" + message.id;
+        var request = pending[key];
+        if (request) {
+          delete pending[key];
+          entry.method = request.method;
+          entry.replyTo = request.seq;
+          entry.latencyMs = Math.round(entry.t - request.t);
+          request.responseSeq = entry.seq;
+        }
+      }
+
+      entries.push(entry);
+      noteMethod(entry.method);
+      renderEntry(entry);
+      if (entry.replyTo) linkResponse(entries[entry.replyTo - 1], entry);
+      updateCount();
+      return entry;
+    }
+
+    function clear() {
+      entries = [];
+      pending = {};
+      methods = {};
+      seq = 0;
+      startedAt = Date.now();
+      list.textContent = "";
+      methodList.textContent = "";
+      showNotice("");
+      updateCount();
+    }
+
+    // ---- Export and import ----
+    function exportSession() {
+      var session = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        app: appName,
+        startedAt: new Date(startedAt).toISOString(),
+      };
+      var html = appHtml();
+      if (html) session.appHtml = html;
+      session.messages = entries.map(function (entry) {
+        var out = {
+          seq: entry.seq,
+          t: entry.t,
+          direction: entry.direction,
+          message: entry.message,
+        };
+        if (entry.replyTo) out.replyTo = entry.replyTo;
+        if (entry.latencyMs != null) out.latencyMs = entry.latencyMs;
+        return out;
+      });
+      return session;
+    }
+
+    function importSession(session) {
+      if (
+        !session ||
+        session.format !== EXPORT_FORMAT ||
+        !Array.isArray(session.messages)
+      ) {
+        throw new Error("Not a shinymcp inspector export");
+      }
+      clear();
+      var started = Date.parse(session.startedAt);
+      if (!isNaN(started)) startedAt = started;
+      for (var i = 0; i < session.messages.length; i++) {
+        var item = session.messages[i];
+        var valid =
+          item &&
+          item.message &&
+          (item.direction === "in" || item.direction === "out");
+        if (!valid) continue;
+        record(item.direction, item.message, Number(item.t) || 0);
+      }
+      showNotice(
+        "Imported " + entries.length + " messages from " +
+          (session.app || "an app") + "; live messages are added below."
+      );
+    }
+
+    function download() {
+      var json = JSON.stringify(exportSession(), null, 2);
+      var url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+      var link = el("a");
+      link.href = url;
+      link.download =
+        "shinymcp-" + appName.replace(/[^A-Za-z0-9_-]+/g, "-") + "-" +
+        new Date(startedAt).toISOString().replace(/[:.]/g, "-") + ".json";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function () {
+        URL.revokeObjectURL(url);
+      }, 0);
+    }
+
+    filter.addEventListener("input", function () {
+      for (var i = 0; i < entries.length; i++) {
+        var row = rowFor(entries[i].seq);
+        if (row) row.hidden = !matchesFilter(entries[i]);
+      }
+      updateCount();
+    });
+    exportButton.addEventListener("click", download);
+    importButton.addEventListener("click", function () {
+      importInput.click();
+    });
+    importInput.addEventListener("change", function () {
+      var file = importInput.files && importInput.files[0];
+      importInput.value = "";
+      if (!file) return;
+      var reader = new FileReader();
+      reader.onload = function () {
+        try {
+          importSession(JSON.parse(String(reader.result)));
+        } catch (err) {
+          showNotice("Import failed: " + (err && err.message ? err.message : err));
+        }
+      };
+      reader.readAsText(file);
+    });
+    clearButton.addEventListener("click", clear);
+
+    return {
+      // createHost({ tap: inspector.tap })
+      tap: function (direction, message) {
+        record(direction, message, Date.now() - startedAt);
+      },
+      entries: function () {
+        return entries.slice();
+      },
+      exportSession: exportSession,
+      importSession: importSession,
+      clear: clear,
+    };
+  }
+
+  window.shinymcpInspector = { create: createInspector };
+})();
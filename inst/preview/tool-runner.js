@@ -0,0 +1,340 @@
+// Manual tool runner for the preview host: lists the app's tools from
+// /tools, builds a form from each input schema, and either calls the tool
+// (showing the result in the view, as a host does after the model's call)
+// or sends the arguments to the view as ui/notifications/tool-input.
+(function () {
+  "use strict";
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // "number", or the first non-null entry of a type list
+  function schemaType(schema) {
+    var type = schema && schema.type;
+    if (Array.isArray(type)) {
+      for (var i = 0; i < type.length; i++) {
+        if (type[i] !== "null") return type[i];
+      }
+      return null;
+    }
+    return type || null;
+  }
+
+  function schemaProperties(schema) {
+    var props = schema && schema.properties;
+    return props && !Array.isArray(props) && typeof props === "object"
+      ? props
+      : {};
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fields
+  // ---------------------------------------------------------------------------
+  // One field per schema property. Each knows how to show a value and how to
+  // read one back; read() returns undefined for an empty optional field and
+  // throws when the text cannot be parsed.
+  function createField(name, schema, required) {
+    schema = schema || {};
+    var type = schemaType(schema);
+    var items = schema.items || {};
+    var control;
+    var kind;
+
+    if (Array.isArray(schema["enum"])) {
+      kind = "enum";
+      control = el("select");
+      if (!required) control.appendChild(el("option", null, ""));
+      schema["enum"].forEach(function (value) {
+        var option = el("option", null, String(value));
+        option.value = JSON.stringify(value);
+        control.appendChild(option);
+      });
+    } else if (type === "array" && Array.isArray(items["enum"])) {
+      kind = "multi";
+      control = el("select");
+      control.multiple = true;
+      items["enum"].forEach(function (value) {
+        var option = el("option", null, String(value));
+        option.value = JSON.stringify(value);
+        control.appendChild(option);
+      });
+    } else if (type === "boolean") {
+      kind = "boolean";
+      control = el("input");
+      control.type = "checkbox";
+    } else if (type === "number" || type === "integer") {
+      kind = "number";
+      control = el("input");
+      control.type = "number";
+      if (schema.minimum != null) control.min = String(schema.minimum);
+      if (schema.maximum != null) control.max = String(schema.maximum);
+      control.step = type === "integer" ? "1" : "any";
+    } else if (type === "string") {
+      kind = "string";
+      control = el("input");
+      control.type = "text";
+    } else {
+      kind = "json";
+      control = el("textarea");
+      control.rows = 3;
+      control.placeholder = type === "array" ? "JSON array" : "JSON value";
+    }
+    control.name = name;
+
+    function show(value) {
+      if (value === undefined || value === null) {
+        if (kind === "boolean") control.checked = false;
+        else if (kind === "multi") {
+          for (var i = 0; i < control.options.length; i++) {
+            control.options[i].selected = false;
+          }
+        } else control.value = "";
+        return;
+      }
+      if (kind === "boolean") {
+        control.checked = value === true || value === "true";
+      } else if (kind === "enum") {
+        control.value = JSON.stringify(value);
+      } else if (kind === "multi") {
+        var wanted = (Array.isArray(value) ? value : [value]).map(function (v) {
+          return JSON.stringify(v);
+        });
+        for (var j = 0; j < control.options.length; j++) {
+          control.options[j].selected =
+            wanted.indexOf(control.options[j].value) !== -1;
+        }
+      } else if (kind === "json") {
+        control.value = JSON.stringify(value, null, 2);
+      } else {
+        control.value = String(value);
+      }
+    }
+
+    function read() {
+      if (kind === "boolean") return control.checked;
+      if (kind === "multi") {
+        var selected = [];
+        for (var i = 0; i < control.options.length; i++) {
+          if (control.options[i].selected) {
+            selected.push(JSON.parse(control.options[i].value));
+          }
+        }
+        return selected.length || required ? selected : undefined;
+      }
+      var text = control.value;
+      if (text === "") return undefined;
+      if (kind === "enum") return JSON.parse(text);
+      if (kind === "number") {
+        var number = Number(text);
+        if (isNaN(number)) throw new Error(name + " must be a number");
+        return number;
+      }
+      if (kind === "json") {
+        try {
+          return JSON.parse(text);
+        } catch (e) {
+          throw new Error(name + " is not valid JSON");
+        }
+      }
+      return text;
+    }
+
+    var row = el("label", "runner-field");
+    var label = el("span", "runner-label", name + (required ? " *" : ""));
+    row.appendChild(label);
+    row.appendChild(control);
+    if (schema.description) {
+      row.appendChild(el("span", "runner-help", schema.description));
+    }
+    show(schema["default"]);
+
+    return { name: name, row: row, control: control, show: show, read: read };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Runner
+  // ---------------------------------------------------------------------------
+  function createToolRunner(options) {
+    var panel = options.panel;
+    var transport = options.transport;
+    var host = null;
+    var tools = [];
+    var fields = [];
+
+    var picker = el("select", "runner-tool");
+    picker.setAttribute("aria-label", "Tool");
+    var description = el("p", "runner-description");
+    var form = el("form", "runner-form");
+    var actions = el("div", "runner-actions");
+    var fillButton = el("button", "runner-button", "Fill from view");
+    fillButton.type = "button";
+    var inputButton = el("button", "runner-button", "Send as tool-input");
+    inputButton.type = "button";
+    var callButton = el("button", "runner-button primary", "Call tool");
+    callButton.type = "submit";
+    var preview = el("pre", "runner-arguments");
+    var output = el("pre", "runner-output");
+    output.hidden = true;
+
+    actions.appendChild(fillButton);
+    actions.appendChild(inputButton);
+    actions.appendChild(callButton);
+    panel.appendChild(picker);
+    panel.appendChild(description);
+    panel.appendChild(form);
+    panel.appendChild(preview);
+    panel.appendChild(output);
+
+    function currentTool() {
+      return tools[picker.selectedIndex] || null;
+    }
+
+    function showOutput(text, isError) {
+      output.hidden = false;
+      output.textContent = text;
+      output.classList.toggle("error", !!isError);
+    }
+
+    function readArguments() {
+      var args = {};
+      for (var i = 0; i < fields.length; i++) {
+        var value = fields[i].read();
+        if (value !== undefined) args[fields[i].name] = value;
+      }
+      return args;
+    }
+
+    function updatePreview() {
+      try {
+        preview.textContent = JSON.stringify(readArguments(), null, 2);
+        preview.classList.remove("error");
+      } catch (e) {
+        preview.textContent = e.message;
+        preview.classList.add("error");
+      }
+    }
+
+    function renderForm() {
+      var tool = currentTool();
+      form.textContent = "";
+      fields = [];
+      output.hidden = true;
+      description.textContent = tool ? tool.description || "" : "No tools";
+      if (!tool) {
+        preview.textContent = "";
+        return;
+      }
+      var schema = tool.inputSchema || {};
+      var required = Array.isArray(schema.required) ? schema.required : [];
+      var props = schemaProperties(schema);
+      Object.keys(props).forEach(function (name) {
+        var field = createField(name, props[name], required.indexOf(name) !== -1);
+        fields.push(field);
+        form.appendChild(field.row);
+      });
+      if (fields.length === 0) {
+        form.appendChild(el("p", "runner-help", "This tool takes no arguments."));
+      }
+      form.appendChild(actions);
+      updatePreview();
+    }
+
+    function fillFromView() {
+      var inputs = host && host.toolInput ? host.toolInput() : null;
+      if (!inputs) {
+        showOutput("The view has not reported any inputs yet.", false);
+        return;
+      }
+      for (var i = 0; i < fields.length; i++) {
+        if (Object.prototype.hasOwnProperty.call(inputs, fields[i].name)) {
+          fields[i].show(inputs[fields[i].name]);
+        }
+      }
+      updatePreview();
+    }
+
+    function sendToolInput() {
+      if (!host) return;
+      try {
+        host.setToolInput(readArguments());
+      } catch (e) {
+        showOutput(e.message, true);
+      }
+    }
+
+    // The view hears about a model's tool call as tool-input followed by
+    // tool-result
+    function callTool() {
+      var tool = currentTool();
+      if (!tool) return;
+      var args;
+      try {
+        args = readArguments();
+      } catch (e) {
+        showOutput(e.message, true);
+        return;
+      }
+      if (host) host.setToolInput(args);
+      callButton.disabled = true;
+      showOutput("Calling " + tool.name + "...", false);
+      Promise.resolve(transport.callTool({ name: tool.name, arguments: args }))
+        .then(function (result) {
+          showOutput(JSON.stringify(result, null, 2), result && result.isError);
+          if (host) host.notify("ui/notifications/tool-result", result);
+        })
+        ["catch"](function (err) {
+          showOutput(err && err.message ? err.message : String(err), true);
+        })
+        .then(function () {
+          callButton.disabled = false;
+        });
+    }
+
+    picker.addEventListener("change", renderForm);
+    form.addEventListener("input", updatePreview);
+    form.addEventListener("change", updatePreview);
+    form.addEventListener("submit", function (event) {
+      event.preventDefault();
+      callTool();
+    });
+    fillButton.addEventListener("click", fillFromView);
+    inputButton.addEventListener("click", sendToolInput);
+
+    function load() {
+      return fetch(options.toolsUrl || "/tools")
+        .then(function (res) {
+          if (!res.ok) throw new Error("HTTP " + res.status);
+          return res.json();
+        })
+        .then(function (body) {
+          tools = (body && body.tools) || [];
+          picker.textContent = "";
+          tools.forEach(function (tool) {
+            picker.appendChild(el("option", null, tool.name));
+          });
+          picker.disabled = tools.length === 0;
+          renderForm();
+        })
+        ["catch"](function (err) {
+          description.textContent =
+            "Could not load tools: " + (err && err.message ? err.message : err);
+        });
+    }
+
+    load();
+
+    return {
+      // The live host the runner sends tool-input and results to
+      attach: function (nextHost) {
+        host = nextHost;
+      },
+      reload: load,
+    };
+  }
+
+  window.shinymcpToolRunner = { create: createToolRunner };
+})();
@@ -0,0 +1,385 @@
+// Conversations between the bridge and createHost(), run headlessly; see
+// harness.js. Run with `npm test` from tests/js.
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var fs = require("fs");
+var path = require("path");
+var harness = require("./harness");
+
+var GREETER = harness.appHtml({
+  name: "greeter",
+  tools: { greet: ["name", "excited"] },
+  toolOutputs: { greet: ["greeting"] },
+  config: { debounceMs: 10 },
+  body:
+    '<div class="shinymcp-input-group"><label for="name">Name</label>' +
+    '<input type="text" id="name" data-shinymcp-input="name" ' +
+    'data-shinymcp-type="text" value="world"></div>' +
+    '<div class="shinymcp-input-group"><label for="excited">Excited</label>' +
+    '<input type="checkbox" id="excited" data-shinymcp-input="excited" ' +
+    'data-shinymcp-type="checkbox"></div>' +
+    '<pre id="greeting" class="shinymcp-output" data-shinymcp-output="greeting" ' +
+    'data-shinymcp-output-type="text"></pre>',
+});
+
+function greet(args) {
+  var text = "Hello, " + args.name + (args.excited ? "!" : ".");
+  return {
+    content: [{ type: "text", text: text }],
+    structuredContent: { greeting: text },
+  };
+}
+
+function methods(messages) {
+  return messages.map(function (message) {
+    return message.method || "(response " + message.id + ")";
+  });
+}
+
+test("the app initializes, then calls its tools with its initial inputs", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  assert.deepStrictEqual(methods(conversation.messages()), [
+    "ui/initialize",
+    "(response 1)",
+    "ui/notifications/initialized",
+    "tools/call",
+    "(response 2)",
+  ]);
+  var call = conversation.messages("in")[2];
+  assert.deepStrictEqual(call.params, {
+    name: "greet",
+    arguments: { name: "world", excited: false },
+  });
+  assert.strictEqual(conversation.output("greeting").textContent, "Hello, world.");
+});
+
+test("a user's change reports model context, then calls the tool", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var before = conversation.messages("in").length;
+
+  conversation.setInput("name", "Ada");
+  conversation.setInput("excited", true);
+  await conversation.settle();
+
+  var sent = conversation.messages("in").slice(before);
+  assert.deepStrictEqual(methods(sent), [
+    "ui/update-model-context",
+    "ui/update-model-context",
+    "tools/call",
+  ]);
+  assert.deepStrictEqual(sent[2].params.arguments, { name: "Ada", excited: true });
+  assert.strictEqual(conversation.output("greeting").textContent, "Hello, Ada!");
+});
+
+test("changes to inputs of different tools within one debounce call both", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: harness.appHtml({
+      name: "two-tools",
+      tools: { left: ["a"], right: ["b"] },
+      config: { debounceMs: 30 },
+      body:
+        '<input type="text" id="a" data-shinymcp-input="a" value="1">' +
+        '<input type="text" id="b" data-shinymcp-input="b" value="2">',
+    }),
+    tools: {
+      left: function () {
+        return { content: [] };
+      },
+      right: function () {
+        return { content: [] };
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var before = conversation.messages("in").length;
+
+  conversation.setInput("a", "10");
+  conversation.setInput("b", "20");
+  await conversation.settle(80);
+
+  var called = conversation
+    .messages("in")
+    .slice(before)
+    .filter(function (message) {
+      return message.method === "tools/call";
+    })
+    .map(function (message) {
+      return message.params.name;
+    })
+    .sort();
+  assert.deepStrictEqual(called, ["left", "right"]);
+});
+
+test("tool-input from the host sets inputs without calling tools", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var before = conversation.messages("in").length;
+
+  conversation.host.notify("ui/notifications/tool-input", {
+    arguments: { name: "Grace" },
+  });
+  await conversation.settle();
+
+  assert.strictEqual(conversation.appDocument.getElementById("name").value, "Grace");
+  assert.deepStrictEqual(conversation.messages("in").slice(before), []);
+});
+
+// Sessions exported from preview_app()'s protocol inspector
+var fixtures = fs.readdirSync(path.join(__dirname, "fixtures")).filter(function (file) {
+  return /\.json$/.test(file);
+});
+
+fixtures.forEach(function (file) {
+  test("replays " + file, async function (t) {
+    var replayed = await harness.replay(harness.loadFixture(file));
+    t.after(replayed.conversation.dispose);
+    assert.deepStrictEqual(replayed.actual, replayed.expected);
+  });
+});
+
+test("the PDF viewer stops at the document's last page", async function (t) {
+  var pdf = Buffer.from(
+    "%PDF-1.4\n" +
+      "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n" +
+      "2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj\n" +
+      "3 0 obj << /Type /Page /Parent 2 0 R >> endobj\n" +
+      "4 0 obj << /Type /Page /Parent 2 0 R >> endobj\n" +
+      "%%EOF\n"
+  ).toString("base64");
+  var conversation = harness.createConversation({
+    appHtml: harness.appHtml({
+      name: "report",
+      tools: { report: [] },
+      body: '<div id="doc" data-shinymcp-output="doc" data-shinymcp-output-type="pdf"></div>',
+    }),
+    tools: {
+      report: function () {
+        return {
+          content: [{ type: "text", text: "[pdf]" }],
+          structuredContent: { doc: { type: "pdf", value: pdf } },
+        };
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  var buttons = conversation.output("doc").querySelectorAll("button");
+  var next = buttons[1];
+  var label = conversation.output("doc").querySelector("span");
+  assert.strictEqual(label.textContent, "Page 1 of 2");
+  next.click();
+  assert.strictEqual(label.textContent, "Page 2 of 2");
+  assert.strictEqual(next.disabled, true);
+  next.click();
+  assert.strictEqual(label.textContent, "Page 2 of 2");
+});
+
+test("a request that outlives requestTimeoutMs is cancelled with the host", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    config: { requestTimeoutMs: 40 },
+    callTool: function () {
+      return new Promise(function () {});
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle(100);
+
+  var sent = conversation.messages("in");
+  var call = sent.filter(function (message) {
+    return message.method === "tools/call";
+  })[0];
+  var cancelled = sent.filter(function (message) {
+    return message.method === "notifications/cancelled";
+  });
+  assert.strictEqual(cancelled.length, 1);
+  assert.strictEqual(cancelled[0].params.requestId, call.id);
+});
+
+test("a streamed tool-input the host abandons unlocks the inputs", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    config: { inputStreamIdleMs: 60 },
+    tools: { greet: greet },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var name = conversation.appDocument.getElementById("name");
+
+  conversation.host.notify("ui/notifications/tool-input-partial", {
+    arguments: '{"name": "Gra',
+  });
+  await conversation.settle(10);
+  assert.strictEqual(name.value, "Gra");
+  assert.strictEqual(name.disabled, true);
+  conversation.host.notify("ui/notifications/tool-cancelled", {});
+  await conversation.settle(10);
+  assert.strictEqual(name.disabled, false);
+
+  conversation.host.notify("ui/notifications/tool-input-partial", {
+    arguments: '{"name": "Ali',
+  });
+  await conversation.settle(10);
+  assert.strictEqual(name.disabled, true);
+  await conversation.settle(100);
+  assert.strictEqual(name.disabled, false);
+  assert.strictEqual(name.value, "Ali");
+});
+
+test("model context describes files while tool calls carry their bytes", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: harness.appHtml({
+      name: "upload",
+      tools: { inspect: ["upload", "label"] },
+      config: { debounceMs: 10 },
+      body:
+        '<input type="file" id="upload" data-shinymcp-input="upload">' +
+        '<input type="text" id="label" data-shinymcp-input="label" value="a">',
+    }),
+    tools: {
+      inspect: function () {
+        return { content: [] };
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var file = { name: "a.csv", type: "text/csv", size: 4, data: "eCx5Cg==" };
+  conversation.host.notify("ui/notifications/tool-input", {
+    arguments: { upload: file },
+  });
+  await conversation.settle();
+  var before = conversation.messages("in").length;
+
+  conversation.setInput("label", "b");
+  await conversation.settle();
+
+  var sent = conversation.messages("in").slice(before);
+  var context = sent.filter(function (message) {
+    return message.method === "ui/update-model-context";
+  })[0];
+  var call = sent.filter(function (message) {
+    return message.method === "tools/call";
+  })[0];
+  assert.deepStrictEqual(context.params.structuredContent.upload, {
+    name: "a.csv",
+    type: "text/csv",
+    size: 4,
+  });
+  assert.deepStrictEqual(call.params.arguments.upload, file);
+
+  // Replaying the model context as tool-input leaves the file in place
+  conversation.host.setToolInput(context.params.structuredContent);
+  conversation.host.notify("ui/notifications/trigger-tool-call", {});
+  await conversation.settle();
+  var last = conversation.messages("in").filter(function (message) {
+    return message.method === "tools/call";
+  }).pop();
+  assert.deepStrictEqual(last.params.arguments.upload, file);
+});
+
+test("a host that declares no capabilities still runs the app's tools", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+    host: {
+      hostCapabilities: {
+        openLinks: null,
+        logging: null,
+        availableDisplayModes: null,
+        serverTools: null,
+        message: null,
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  var initialize = conversation.messages("out")[0];
+  assert.deepStrictEqual(initialize.result.hostCapabilities, {});
+  assert.strictEqual(conversation.output("greeting").textContent, "Hello, world.");
+});
+
+test("a host without serverTools says so in the view", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+    host: { hostCapabilities: { serverTools: null } },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  assert.strictEqual(methods(conversation.messages("in")).indexOf("tools/call"), -1);
+  var banner = conversation.appDocument.querySelector("[data-shinymcp-bridge-error]");
+  assert.match(banner.textContent, /serverTools/);
+});
+
+test("an app disabled by a protocol mismatch calls no tools", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+    host: {
+      config: { instanceId: "harness", height: "auto", protocolVersion: "1999-01-01" },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var banner = conversation.appDocument.querySelector("[data-shinymcp-bridge-error]");
+  assert.match(banner.textContent, /The app is disabled/);
+
+  conversation.setInput("name", "bob");
+  conversation.host.notify("ui/notifications/trigger-tool-call", {});
+  await conversation.settle();
+
+  assert.deepStrictEqual(methods(conversation.messages("in")), ["ui/initialize"]);
+  assert.strictEqual(conversation.output("greeting").textContent, "");
+});
+
+test("a teardown with a tool call in flight logs no failure", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    callTool: function () {
+      return new Promise(function () {});
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  var errors = [];
+  conversation.appWindow.console.error = function () {
+    errors.push([].slice.call(arguments).join(" "));
+  };
+
+  conversation.host.iframe.contentWindow.postMessage({
+    jsonrpc: "2.0",
+    id: 900,
+    method: "ui/resource-teardown",
+    params: {},
+  });
+  await conversation.settle();
+
+  assert.deepStrictEqual(conversation.messages("in").pop(), {
+    jsonrpc: "2.0",
+    id: 900,
+    result: {},
+  });
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,526 @@
+// Headless harness for conversations between shinymcp-bridge.js and a host
+// built on createHost() from shinymcp-host.js.
+//
+// The app and the host each get their own jsdom window, joined by a
+// postMessage stand-in that clones every message and delivers it
+// asynchronously with the right event.source, so both scripts run their
+// real message handling. Every message is recorded from the host's side in
+// the protocol inspector's export format ("in" is app to host), which is also
+// what a fixture holds: export a session from preview_app()'s protocol
+// inspector into fixtures/ and replay() it as a regression test.
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+var JS_DIR = path.join(__dirname, "..", "..", "inst", "js");
+var FIXTURE_DIR = path.join(__dirname, "fixtures");
+var HOST_ORIGIN = "https://host.test";
+var EXPORT_FORMAT = "shinymcp-inspector";
+var EXPORT_VERSION = 1;
+
+// The config and bridge scripts McpApp$html_resource() ends the body with
+var APP_SCRIPTS =
+  /(<script id="shinymcp-config" type="application\/json">)([\s\S]*?)(<\/script>\s*<script>)([\s\S]*?)(<\/script>\s*<\/body>)/;
+
+function readJs(name) {
+  return fs.readFileSync(path.join(JS_DIR, name), "utf8");
+}
+
+function sleep(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+// An app page laid out like McpApp$html_resource(): body markup, then the
+// bridge config, then the bridge
+function appHtml(options) {
+  var config = Object.assign(
+    {
+      appName: options.name || "test-app",
+      version: "0.1.0",
+      tools: Object.keys(options.tools || {}),
+      toolArgs: options.tools || {},
+    },
+    options.toolOutputs ? { toolOutputs: options.toolOutputs } : {},
+    options.config
+  );
+  return (
+    "<!DOCTYPE html>\n" +
+    '<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+    "<title>" + config.appName + "</title>\n</head>\n<body>\n" +
+    '<div id="shinymcp-app" class="shinymcp-container">' +
+    (options.body || "") +
+    "</div>\n" +
+    '<script id="shinymcp-config" type="application/json">' +
+    JSON.stringify(config) +
+    "</script>\n<script>\n" +
+    readJs("shinymcp-bridge.js") +
+    "\n</script>\n</body>\n</html>"
+  );
+}
+
+// Merge config overrides into an app page and, unless bridge is "recorded",
+// swap its bridge for the one in inst/js so a fixture tests today's code
+function prepareAppHtml(html, options) {
+  var match = APP_SCRIPTS.exec(html);
+  if (!match) {
+    throw new Error("Not a shinymcp app page: no bridge config script found");
+  }
+  var config = Object.assign(JSON.parse(match[2]), options.config);
+  var bridge =
+    options.bridge === "recorded" ? match[4] : "\n" + readJs("shinymcp-bridge.js") + "\n";
+  return html.replace(APP_SCRIPTS, function () {
+    return match[1] + JSON.stringify(config) + match[3] + bridge + match[5];
+  });
+}
+
+// What window.postMessage does, minus the cross-realm plumbing jsdom lacks:
+// clone into the receiving window and dispatch on a later turn
+function deliver(target, data, source, origin) {
+  setTimeout(function () {
+    if (!target.document) return; // closed
+    var event = new target.Event("message");
+    Object.defineProperties(event, {
+      data: { value: target.JSON.parse(JSON.stringify(data)) },
+      source: { value: source },
+      origin: { value: origin },
+      ports: { value: [] },
+    });
+    target.dispatchEvent(event);
+  }, 0);
+}
+
+// Tools answer with whatever options.tools[name](arguments) returns
+function toolCaller(tools) {
+  return function (params) {
+    var fn = tools && tools[params.name];
+    if (typeof fn !== "function") {
+      return {
+        content: [{ type: "text", text: "Unknown tool: " + params.name }],
+        isError: true,
+      };
+    }
+    return fn(params.arguments || {});
+  };
+}
+
+// Stands in for window.Shiny on the host page: bus events the host sends
+// are kept in events and handed to onEvent(event, shiny), and respond()
+// answers one the way R's send_host_response() does
+function fakeShiny(hostWindow, onEvent) {
+  var handlers = {};
+  var shiny = {
+    events: [],
+    setInputValue: function (name, event) {
+      var copy = JSON.parse(JSON.stringify(event));
+      shiny.events.push(copy);
+      if (onEvent) {
+        setTimeout(function () {
+          onEvent(copy, shiny);
+        }, 0);
+      }
+    },
+    addCustomMessageHandler: function (type, handler) {
+      handlers[type] = handler;
+    },
+    // What R's mcp_embed() sends to start a host in a live session
+    initHost: function (id, config) {
+      handlers["shinymcp-host-init"]({ id: id, config: config });
+    },
+    respond: function (event, result, error) {
+      handlers["shinymcp-host-response"]({
+        instanceId: event.instanceId,
+        requestId: event.requestId,
+        result: result,
+        error: error,
+      });
+    },
+  };
+  hostWindow.Shiny = shiny;
+  return shiny;
+}
+
+// Answers tools/call bus events with tools, like the R host would
+function shinyToolAnswerer(callTool) {
+  return function (event, shiny) {
+    if (event.method !== "tools/call") return;
+    Promise.resolve(callTool(event.params)).then(function (result) {
+      shiny.respond(event, result);
+    });
+  };
+}
+
+var HOST_CONTAINER =
+  "<div data-shinymcp-host-status></div>" +
+  "<div data-shinymcp-host-error></div>" +
+  "<iframe data-shinymcp-host-frame></iframe>";
+
+// options: appHtml, config (bridge config overrides), bridge, tools or
+// callTool, and host (more createHost() options). With options.shiny the
+// host is the one the page builds for an mcp_host_ui() container, talking
+// to a stand-in Shiny; options.shiny.onEvent(event, shiny) then answers its
+// bus events, and tools or callTool do so for tools/call by default.
+// options.shiny.config adds to the config R would send the page. With
+// options.page, another conversation, the host joins that one's page (next
+// to its container, inside #page) under options.instanceId, so a layout
+// can hold both.
+function createConversation(options) {
+  var startedAt = Date.now();
+  var entries = [];
+  var callTool = options.callTool || toolCaller(options.tools);
+  var appSrcdoc = prepareAppHtml(options.appHtml, options);
+  var instanceId = options.instanceId || "harness";
+
+  var hostWindow, container;
+  if (options.page) {
+    if (options.shiny) throw new Error("A Shiny host cannot join another page");
+    hostWindow = options.page.hostWindow;
+    container = hostWindow.document.createElement("div");
+    container.innerHTML = HOST_CONTAINER;
+    hostWindow.document.getElementById("page").appendChild(container);
+  } else {
+    hostWindow = new JSDOM(
+      "<!DOCTYPE html><html><body><div id=\"page\">" +
+        '<div id="host"' + (options.shiny ? " data-shinymcp-host" : "") + ">" +
+        HOST_CONTAINER +
+        "</div></div></body></html>",
+      { runScripts: "outside-only", url: HOST_ORIGIN + "/", pretendToBeVisual: true }
+    ).window;
+    container = hostWindow.document.getElementById("host");
+  }
+  var iframe = container.querySelector("iframe");
+
+  var appDom = null;
+  // iframe.contentWindow as the host sees it, and window.parent as the app
+  // sees it
+  var frame = {
+    postMessage: function (message) {
+      if (appDom) deliver(appDom.window, message, parent, HOST_ORIGIN);
+    },
+  };
+  var parent = {
+    postMessage: function (message) {
+      deliver(hostWindow, message, frame, "null");
+    },
+  };
+  Object.defineProperty(iframe, "contentWindow", {
+    get: function () {
+      return frame;
+    },
+    configurable: true,
+  });
+
+  function tap(direction, message) {
+    entries.push({
+      seq: entries.length + 1,
+      t: Date.now() - startedAt,
+      direction: direction,
+      message: JSON.parse(JSON.stringify(message)),
+    });
+  }
+
+  var shiny = null;
+  var host;
+  if (options.shiny) {
+    shiny = fakeShiny(
+      hostWindow,
+      options.shiny.onEvent || shinyToolAnswerer(callTool)
+    );
+    hostWindow.eval(readJs("shinymcp-host.js"));
+    shiny.initHost(
+      "host",
+      Object.assign(
+        { instanceId: instanceId, height: "auto", appHtml: appSrcdoc },
+        options.shiny.config
+      )
+    );
+    host = container._shinymcpHost;
+    host.tap(tap);
+  } else {
+    if (!options.page) hostWindow.eval(readJs("shinymcp-host.js"));
+    host = hostWindow.shinymcpHost.createHost(
+      Object.assign(
+        {
+          container: container,
+          iframe: iframe,
+          config: { instanceId: instanceId, height: "auto" },
+          appSrcdoc: appSrcdoc,
+          pageContext: false,
+          callTool: callTool,
+          sendMessage: function () {
+            return {};
+          },
+          tap: tap,
+        },
+        options.host
+      )
+    );
+  }
+
+  var appWindow;
+  var appDocument;
+  var conversation = {};
+
+  // The host injected its CSP into srcdoc; load what it would have. Loading
+  // it again is what a reloaded frame does.
+  function loadApp() {
+    if (appDom) appDom.window.close();
+    appDom = new JSDOM(iframe.srcdoc, {
+      runScripts: "dangerously",
+      pretendToBeVisual: true,
+      beforeParse: function (win) {
+        Object.defineProperty(win, "parent", { value: parent, configurable: true });
+      },
+    });
+    appWindow = conversation.appWindow = appDom.window;
+    appDocument = conversation.appDocument = appWindow.document;
+  }
+  loadApp();
+
+  // Post a raw message to the host as the app, bypassing the bridge
+  function postFromApp(message) {
+    parent.postMessage(message);
+  }
+
+  function messages(direction) {
+    return entries
+      .filter(function (entry) {
+        return !direction || entry.direction === direction;
+      })
+      .map(function (entry) {
+        return entry.message;
+      });
+  }
+
+  // Resolves once no message has moved for quietMs, which covers the
+  // bridge's debounce when quietMs is longer than config.debounceMs
+  function settle(quietMs) {
+    quietMs = quietMs || 50;
+    var seen = -1;
+    function wait() {
+      if (seen === entries.length) return Promise.resolve();
+      seen = entries.length;
+      return sleep(quietMs).then(wait);
+    }
+    return wait();
+  }
+
+  function inputElement(name) {
+    var el = appDocument.querySelector('[data-shinymcp-input="' + name + '"]');
+    if (!el) throw new Error("The app has no input " + name);
+    return el;
+  }
+
+  // Change an input the way a user would, firing the one event the bridge
+  // listens for on that kind of element
+  function setInput(name, value) {
+    var el = inputElement(name);
+    var tag = el.tagName.toLowerCase();
+    var type = (el.getAttribute("type") || "").toLowerCase();
+    var event = "change";
+    if (type === "checkbox") {
+      el.checked = !!value;
+    } else if (tag === "select" && el.multiple) {
+      var wanted = [].concat(value).map(String);
+      for (var i = 0; i < el.options.length; i++) {
+        el.options[i].selected = wanted.indexOf(el.options[i].value) !== -1;
+      }
+    } else {
+      el.value = value == null ? "" : String(value);
+      if ((tag === "input" && type !== "range") || tag === "textarea") {
+        event = "input";
+      }
+    }
+    el.dispatchEvent(new appWindow.Event(event, { bubbles: true }));
+  }
+
+  function output(id) {
+    return appDocument.querySelector('[data-shinymcp-output="' + id + '"]');
+  }
+
+  function exportSession() {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      app: host.config.instanceId,
+      startedAt: new Date(startedAt).toISOString(),
+      appHtml: options.appHtml,
+      messages: entries.slice(),
+    };
+  }
+
+  function dispose() {
+    host.dispose();
+    appWindow.close();
+    // jsdom closes the real frame window along with the page
+    delete iframe.contentWindow;
+    if (!options.page) hostWindow.close();
+  }
+
+  return Object.assign(conversation, {
+    host: host,
+    hostWindow: hostWindow,
+    shiny: shiny,
+    messages: messages,
+    settle: settle,
+    setInput: setInput,
+    output: output,
+    reloadApp: loadApp,
+    postFromApp: postFromApp,
+    exportSession: exportSession,
+    dispose: dispose,
+  });
+}
+
+function loadFixture(name) {
+  var session = JSON.parse(
+    fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8")
+  );
+  if (session.format !== EXPORT_FORMAT || !Array.isArray(session.messages)) {
+    throw new Error(name + " is not a shinymcp inspector export");
+  }
+  if (!session.appHtml) {
+    throw new Error(name + " has no appHtml; export it from preview_app()");
+  }
+  return session;
+}
+
+function writeFixture(name, session) {
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(FIXTURE_DIR, name),
+    JSON.stringify(session, null, 2) + "\n"
+  );
+}
+
+// The app's side of a conversation, without what depends on the page it ran
+// in (layout sizes) and with ids the host picked left out
+var IGNORED_METHODS = ["ui/notifications/size-changed"];
+
+function appSide(messages, ignore) {
+  ignore = ignore || IGNORED_METHODS;
+  return messages
+    .filter(function (entry) {
+      return entry.direction === "in" && ignore.indexOf(entry.message.method) === -1;
+    })
+    .map(function (entry) {
+      var message = Object.assign({}, entry.message);
+      delete message.jsonrpc;
+      if (!message.method) delete message.id; // replies to host requests
+      return message;
+    });
+}
+
+// Results the recording's host gave each tool, in order
+function recordedResults(messages) {
+  var requests = {};
+  var results = {};
+  messages.forEach(function (entry) {
+    var message = entry.message;
+    if (entry.direction === "in" && message.method === "tools/call") {
+      requests[message.id] = message.params.name;
+    } else if (
+      entry.direction === "out" &&
+      !message.method &&
+      requests[message.id] !== undefined
+    ) {
+      var name = requests[message.id];
+      delete requests[message.id];
+      (results[name] = results[name] || []).push(
+        message.error ? { error: message.error } : { result: message.result }
+      );
+    }
+  });
+  return results;
+}
+
+// Replay a recorded session against today's bridge and host. Tools answer
+// with their recorded results, host notifications are sent again where
+// they were, and each model-context update the app reported is redone as
+// user input. Resolves with the app's side of the recording (expected) and
+// of the replay (actual), which a test compares.
+function replay(session, options) {
+  options = options || {};
+  var results = recordedResults(session.messages);
+  var conversation = createConversation({
+    appHtml: session.appHtml,
+    bridge: options.bridge,
+    config: Object.assign({ debounceMs: 10 }, options.config),
+    callTool: function (params) {
+      var queue = results[params.name] || [];
+      var next = queue.shift();
+      if (!next) {
+        return {
+          content: [{ type: "text", text: "No recorded result for " + params.name }],
+          isError: true,
+        };
+      }
+      if (next.error) return Promise.reject(new Error(next.error.message));
+      return next.result;
+    },
+  });
+
+  var known = {};
+  var steps = session.messages.filter(function (entry) {
+    var message = entry.message;
+    if (entry.direction === "in") return message.method === "ui/update-model-context";
+    return message.method && message.id === undefined;
+  });
+
+  function step(i) {
+    if (i >= steps.length) return conversation.settle();
+    var entry = steps[i];
+    var message = entry.message;
+    return conversation.settle().then(function () {
+      if (entry.direction === "out") {
+        conversation.host.notify(message.method, message.params);
+        if (message.method === "ui/notifications/tool-input") {
+          Object.assign(known, message.params && message.params.arguments);
+        }
+      } else {
+        var inputs = (message.params && message.params.structuredContent) || {};
+        Object.keys(inputs).forEach(function (name) {
+          if (JSON.stringify(known[name]) !== JSON.stringify(inputs[name])) {
+            conversation.setInput(name, inputs[name]);
+          }
+        });
+        Object.assign(known, inputs);
+      }
+      return step(i + 1);
+    });
+  }
+
+  // What the user changed is measured against the inputs the app started
+  // with, i.e. its first tool calls' arguments
+  return conversation.settle().then(function () {
+    conversation.messages("in").forEach(function (message) {
+      if (message.method === "tools/call") {
+        Object.assign(known, message.params.arguments);
+      }
+    });
+    return step(0).then(function () {
+      var actual = appSide(
+        conversation.exportSession().messages,
+        options.ignoreMethods
+      );
+      return {
+        expected: appSide(session.messages, options.ignoreMethods),
+        actual: actual,
+        conversation: conversation,
+      };
+    });
+  });
+}
+
+module.exports = {
+  appHtml: appHtml,
+  prepareAppHtml: prepareAppHtml,
+  createConversation: createConversation,
+  loadFixture: loadFixture,
+  writeFixture: writeFixture,
+  appSide: appSide,
+  replay: replay,
+};
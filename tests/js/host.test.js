@@ -0,0 +1,444 @@
+// createHost()'s side of tool calls: queueing, coalescing and cancellation,
+// and the Shiny bus. Run with `npm test` from tests/js.
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var harness = require("./harness");
+
+// An app whose bridge calls nothing by itself, so tests drive the host with
+// raw requests
+var QUIET = harness.appHtml({ name: "quiet" });
+
+var GREETER = harness.appHtml({
+  name: "greeter",
+  tools: { greet: ["name"] },
+  toolOutputs: { greet: ["greeting"] },
+  config: { debounceMs: 10 },
+  body:
+    '<input type="text" id="name" data-shinymcp-input="name" value="world">' +
+    '<pre id="greeting" data-shinymcp-output="greeting"></pre>',
+});
+
+// Tool calls that wait until the test resolves them
+function deferredTools() {
+  var calls = [];
+  return {
+    calls: calls,
+    callTool: function (request) {
+      return new Promise(function (resolve) {
+        calls.push({ request: request, resolve: resolve });
+      });
+    },
+  };
+}
+
+function hostConfig(extra) {
+  return Object.assign({ instanceId: "harness", height: "auto" }, extra);
+}
+
+function callTool(conversation, id, name, args) {
+  conversation.postFromApp({
+    jsonrpc: "2.0",
+    id: id,
+    method: "tools/call",
+    params: { name: name, arguments: args },
+  });
+}
+
+function responseTo(conversation, id, since) {
+  return conversation
+    .messages("out")
+    .slice(since || 0)
+    .filter(function (message) {
+      return !message.method && message.id === id;
+    });
+}
+
+function textResult(text) {
+  return { content: [{ type: "text", text: text }] };
+}
+
+test("tool calls beyond maxConcurrentToolCalls wait their turn", async function (t) {
+  var tools = deferredTools();
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+    host: { config: hostConfig({ maxConcurrentToolCalls: 1 }) },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 101, "first", {});
+  callTool(conversation, 102, "second", {});
+  await conversation.settle();
+  assert.deepStrictEqual(
+    tools.calls.map(function (call) {
+      return call.request.name;
+    }),
+    ["first"]
+  );
+
+  tools.calls[0].resolve(textResult("one"));
+  await conversation.settle();
+  assert.strictEqual(tools.calls.length, 2);
+  tools.calls[1].resolve(textResult("two"));
+  await conversation.settle();
+
+  assert.strictEqual(responseTo(conversation, 101)[0].result.content[0].text, "one");
+  assert.strictEqual(responseTo(conversation, 102)[0].result.content[0].text, "two");
+});
+
+test("identical calls share one run and its result", async function (t) {
+  var tools = deferredTools();
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 101, "same", { x: 1 });
+  callTool(conversation, 102, "same", { x: 1 });
+  await conversation.settle();
+  assert.strictEqual(tools.calls.length, 1);
+
+  tools.calls[0].resolve(textResult("shared"));
+  await conversation.settle();
+  assert.strictEqual(responseTo(conversation, 101).length, 1);
+  assert.deepStrictEqual(
+    responseTo(conversation, 102)[0].result,
+    responseTo(conversation, 101)[0].result
+  );
+});
+
+test("a newer call replaces a waiting call for the same tool", async function (t) {
+  var tools = deferredTools();
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+    host: { config: hostConfig({ maxConcurrentToolCalls: 1 }) },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 101, "busy", {});
+  callTool(conversation, 102, "later", { y: 1 });
+  callTool(conversation, 103, "later", { y: 2 });
+  await conversation.settle();
+
+  assert.strictEqual(responseTo(conversation, 102)[0].error.code, -32800);
+  tools.calls[0].resolve(textResult("busy"));
+  await conversation.settle();
+  var args = JSON.parse(JSON.stringify(tools.calls[1].request.arguments));
+  assert.deepStrictEqual(args, { y: 2 });
+});
+
+test("an app's cancellation stops the running call", async function (t) {
+  var tools = deferredTools();
+  var cancelled = [];
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+    host: {
+      cancelTool: function (request, reason) {
+        cancelled.push(reason);
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 101, "slow", {});
+  await conversation.settle();
+  conversation.postFromApp({
+    jsonrpc: "2.0",
+    method: "notifications/cancelled",
+    params: { requestId: 101, reason: "Superseded" },
+  });
+  await conversation.settle();
+  assert.deepStrictEqual(cancelled, ["Superseded"]);
+
+  tools.calls[0].resolve(textResult("late"));
+  await conversation.settle();
+  assert.deepStrictEqual(responseTo(conversation, 101), []);
+});
+
+test("a reloaded app gets no answers meant for its last load", async function (t) {
+  var tools = deferredTools();
+  var cancelled = [];
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+    host: {
+      cancelTool: function (request, reason) {
+        cancelled.push(reason);
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 2, "slow", {});
+  await conversation.settle();
+  conversation.reloadApp();
+  await conversation.settle();
+  assert.deepStrictEqual(cancelled, ["App reloaded"]);
+
+  var since = conversation.messages("out").length;
+  tools.calls[0].resolve(textResult("stale"));
+  await conversation.settle();
+  assert.deepStrictEqual(responseTo(conversation, 2, since), []);
+});
+
+test("Shiny bus requests stay distinct when a reloaded app reuses ids", async function (t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    shiny: { onEvent: function () {} },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+  conversation.reloadApp();
+  await conversation.settle();
+
+  var events = conversation.shiny.events;
+  var calls = events.filter(function (event) {
+    return event.method === "tools/call";
+  });
+  assert.strictEqual(calls.length, 2);
+  assert.notStrictEqual(calls[0].requestId, calls[1].requestId);
+  var cancels = events.filter(function (event) {
+    return event.method === "notifications/cancelled";
+  });
+  assert.deepStrictEqual(cancels[0].params, {
+    requestId: calls[0].requestId,
+    reason: "App reloaded",
+  });
+
+  // The old call's answer goes nowhere; the new one's reaches the new view
+  conversation.shiny.respond(calls[0], {
+    content: [],
+    structuredContent: { greeting: "stale" },
+  });
+  conversation.shiny.respond(calls[1], {
+    content: [],
+    structuredContent: { greeting: "Hello, world." },
+  });
+  await conversation.settle();
+  assert.strictEqual(conversation.output("greeting").textContent, "Hello, world.");
+});
+
+// A greeter whose host saves its state in sessionStorage; greeting "big"
+// returns a result too large to keep
+function persistedGreeter(t) {
+  var conversation = harness.createConversation({
+    appHtml: GREETER,
+    tools: {
+      greet: function (args) {
+        var text =
+          args.name === "big" ? new Array(300001).join("x") : "Hello, " + args.name;
+        return {
+          content: [{ type: "text", text: text }],
+          structuredContent: { greeting: text },
+        };
+      },
+    },
+    host: { persist: "session" },
+  });
+  t.after(conversation.dispose);
+  return conversation;
+}
+
+function saved(conversation, prefix) {
+  var text = conversation.hostWindow.sessionStorage.getItem(prefix + "harness");
+  return text == null ? null : JSON.parse(text);
+}
+
+test("a result too large to save leaves the inputs saving", async function (t) {
+  var conversation = persistedGreeter(t);
+  await conversation.settle();
+  assert.strictEqual(
+    saved(conversation, "shinymcp-results:").greet.structuredContent.greeting,
+    "Hello, world"
+  );
+
+  conversation.setInput("name", "big");
+  await conversation.settle();
+  assert.deepStrictEqual(saved(conversation, "shinymcp-results:"), {});
+
+  conversation.setInput("name", "Ada");
+  await conversation.settle();
+  assert.strictEqual(saved(conversation, "shinymcp-state:").toolInput.name, "Ada");
+  assert.strictEqual(
+    saved(conversation, "shinymcp-results:").greet.structuredContent.greeting,
+    "Hello, Ada"
+  );
+});
+
+test("a failing save warns once", async function (t) {
+  var conversation = persistedGreeter(t);
+  var win = conversation.hostWindow;
+  var warnings = [];
+  win.console.warn = function () {
+    warnings.push([].slice.call(arguments).join(" "));
+  };
+  win.Storage.prototype.setItem = function () {
+    throw new Error("Quota exceeded");
+  };
+  await conversation.settle();
+
+  conversation.setInput("name", "Ada");
+  await conversation.settle();
+  conversation.setInput("name", "Grace");
+  await conversation.settle();
+  assert.deepStrictEqual(warnings, [
+    "[shinymcp-host] Could not save app state: Quota exceeded",
+  ]);
+});
+
+test("clearState forgets the inputs a reloaded app would start from", async function (t) {
+  var conversation = persistedGreeter(t);
+  await conversation.settle();
+  conversation.setInput("name", "Ada");
+  await conversation.settle();
+
+  conversation.host.clearState();
+  assert.strictEqual(conversation.host.toolInput(), null);
+  assert.strictEqual(saved(conversation, "shinymcp-state:"), null);
+  assert.strictEqual(saved(conversation, "shinymcp-results:"), null);
+
+  var since = conversation.messages("out").length;
+  conversation.reloadApp();
+  await conversation.settle();
+  var initialize = conversation
+    .messages("out")
+    .slice(since)
+    .filter(function (message) {
+      return message.result && message.result.hostContext;
+    })[0];
+  assert.ok(!initialize.result.hostContext.initialArguments);
+  assert.strictEqual(conversation.appDocument.getElementById("name").value, "world");
+});
+
+test("history keeps each result with the step that made the call", async function (t) {
+  var tools = deferredTools();
+  var conversation = harness.createConversation({
+    appHtml: harness.appHtml({
+      name: "two-tools",
+      tools: { left: ["a"], right: ["b"] },
+      toolOutputs: { left: ["left"], right: ["right"] },
+      config: { debounceMs: 10 },
+      body:
+        '<input type="text" id="a" data-shinymcp-input="a" value="1">' +
+        '<input type="text" id="b" data-shinymcp-input="b" value="2">' +
+        '<pre data-shinymcp-output="left"></pre>' +
+        '<pre data-shinymcp-output="right"></pre>',
+    }),
+    callTool: tools.callTool,
+  });
+  t.after(conversation.dispose);
+  function answer(call) {
+    var args = call.request.arguments;
+    var output =
+      call.request.name === "left" ? { left: "a=" + args.a } : { right: "b=" + args.b };
+    call.resolve({ content: [], structuredContent: output });
+  }
+  await conversation.settle();
+  tools.calls.forEach(answer);
+  await conversation.settle();
+
+  conversation.setInput("a", "10");
+  await conversation.settle();
+  conversation.setInput("b", "20");
+  await conversation.settle();
+  // The left call was made at the step before b changed
+  tools.calls.slice(2).forEach(answer);
+  await conversation.settle();
+
+  var entries = JSON.parse(JSON.stringify(conversation.host.history().entries));
+  assert.deepStrictEqual(
+    entries.map(function (entry) {
+      return Object.keys(entry.results).sort();
+    }),
+    [["left", "right"], ["left"], ["right"]]
+  );
+
+  // Restoring a step shows its results while its tools run again
+  var pending = tools.calls.length;
+  conversation.host.restoreHistory(0);
+  await conversation.settle();
+  assert.strictEqual(tools.calls.length, pending + 2);
+  assert.strictEqual(conversation.output("left").textContent, "a=1");
+  assert.strictEqual(conversation.output("right").textContent, "b=2");
+});
+
+test("reload() cancels the calls of the load it replaces", async function (t) {
+  var tools = deferredTools();
+  var cancelled = [];
+  var conversation = harness.createConversation({
+    appHtml: QUIET,
+    callTool: tools.callTool,
+    host: {
+      cancelTool: function (request, reason) {
+        cancelled.push(reason);
+      },
+    },
+  });
+  t.after(conversation.dispose);
+  await conversation.settle();
+
+  callTool(conversation, 2, "slow", {});
+  await conversation.settle();
+  conversation.host.reload();
+  assert.deepStrictEqual(cancelled, ["App reloaded"]);
+
+  var since = conversation.messages("out").length;
+  tools.calls[0].resolve(textResult("stale"));
+  await conversation.settle();
+  conversation.reloadApp();
+  await conversation.settle();
+  assert.deepStrictEqual(responseTo(conversation, 2, since), []);
+  assert.deepStrictEqual(cancelled, ["App reloaded"]);
+});
+
+function savedKeys(conversation) {
+  var storage = conversation.hostWindow.sessionStorage;
+  var keys = [];
+  for (var i = 0; i < storage.length; i++) {
+    if (/^shinymcp-(state|results):/.test(storage.key(i))) keys.push(storage.key(i));
+  }
+  return keys.sort();
+}
+
+var HELLO = {
+  greet: function (args) {
+    return textResult("Hello, " + args.name);
+  },
+};
+
+test("a Shiny embed saves its state only under a stable key", async function (t) {
+  var unkeyed = harness.createConversation({
+    appHtml: GREETER,
+    tools: HELLO,
+    shiny: {},
+  });
+  t.after(unkeyed.dispose);
+  await unkeyed.settle();
+  unkeyed.setInput("name", "Ada");
+  await unkeyed.settle();
+  assert.deepStrictEqual(savedKeys(unkeyed), []);
+
+  var keyed = harness.createConversation({
+    appHtml: GREETER,
+    tools: HELLO,
+    shiny: { config: { stateKey: "greeter:chat" } },
+  });
+  t.after(keyed.dispose);
+  await keyed.settle();
+  keyed.setInput("name", "Ada");
+  await keyed.settle();
+  assert.deepStrictEqual(savedKeys(keyed), [
+    "shinymcp-results:greeter:chat",
+    "shinymcp-state:greeter:chat",
+  ]);
+});
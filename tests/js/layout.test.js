@@ -0,0 +1,184 @@
+// createLayout(): tabs, grid and split arrangements of hosts on one page, and
+// linked inputs between them. Run with `npm test` from tests/js.
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var harness = require("./harness");
+
+var GREETER = harness.appHtml({
+  name: "greeter",
+  tools: { greet: ["name", "excited"] },
+  toolOutputs: { greet: ["greeting"] },
+  config: { debounceMs: 10 },
+  body:
+    '<input type="text" id="name" data-shinymcp-input="name" value="world">' +
+    '<input type="checkbox" id="excited" data-shinymcp-input="excited">' +
+    '<pre id="greeting" data-shinymcp-output="greeting"></pre>',
+});
+
+function greet(args) {
+  var text = "Hello, " + args.name + (args.excited ? "!" : ".");
+  return {
+    content: [{ type: "text", text: text }],
+    structuredContent: { greeting: text },
+  };
+}
+
+// Two greeters on one page, laid out inside #page
+async function twoApps(t, layoutOptions, secondHost) {
+  var first = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+  });
+  var second = harness.createConversation({
+    appHtml: GREETER,
+    tools: { greet: greet },
+    page: first,
+    instanceId: "harness-2",
+    host: secondHost,
+  });
+  t.after(function () {
+    second.dispose();
+    first.dispose();
+  });
+  await first.settle();
+  await second.settle();
+
+  var win = first.hostWindow;
+  var root = win.document.getElementById("page");
+  var layout = win.shinymcpHost.createLayout(
+    Object.assign(
+      { container: root, hosts: [first.host, second.host] },
+      layoutOptions
+    )
+  );
+  return { first: first, second: second, layout: layout, root: root, win: win };
+}
+
+function key(win, el, name) {
+  el.dispatchEvent(new win.KeyboardEvent("keydown", { key: name, bubbles: true }));
+}
+
+function sentSince(conversation, since, method) {
+  return conversation
+    .messages("out")
+    .slice(since)
+    .filter(function (message) {
+      return message.method === method;
+    });
+}
+
+test("tabs show one app at a time and leave the containers in place", async function (t) {
+  var s = await twoApps(t, { mode: "tabs" });
+  var panes = [s.first.host.container, s.second.host.container];
+  var tabs = s.root.querySelectorAll('[role="tab"]');
+
+  assert.strictEqual(s.root.getAttribute("data-shinymcp-layout"), "tabs");
+  assert.strictEqual(tabs.length, 2);
+  panes.forEach(function (pane) {
+    assert.strictEqual(pane.parentNode, s.root);
+  });
+  assert.deepStrictEqual(
+    panes.map(function (pane) {
+      return pane.hidden;
+    }),
+    [false, true]
+  );
+  assert.strictEqual(tabs[0].getAttribute("aria-controls"), panes[0].id);
+
+  key(s.win, tabs[0], "ArrowRight");
+  assert.deepStrictEqual(
+    panes.map(function (pane) {
+      return pane.hidden;
+    }),
+    [true, false]
+  );
+  assert.strictEqual(tabs[1].getAttribute("aria-selected"), "true");
+
+  tabs[0].click();
+  assert.strictEqual(panes[0].hidden, false);
+  assert.strictEqual(panes[1].hidden, true);
+});
+
+test("a grid shows every app in resizable columns", async function (t) {
+  var s = await twoApps(t, { mode: "grid", columns: 2 });
+  var panes = [s.first.host.container, s.second.host.container];
+
+  assert.strictEqual(s.root.getAttribute("data-shinymcp-layout"), "grid");
+  assert.strictEqual(s.root.style.gridTemplateColumns, "0.5fr 0.5fr");
+  panes.forEach(function (pane) {
+    assert.strictEqual(pane.hidden, false);
+  });
+  var separators = s.root.querySelectorAll(".shinymcp-layout-column-separator");
+  assert.strictEqual(separators.length, 1);
+
+  key(s.win, separators[0], "ArrowRight");
+  assert.strictEqual(separators[0].getAttribute("aria-valuenow"), "55");
+});
+
+test("split panes resize with the separator between them", async function (t) {
+  var s = await twoApps(t, { mode: "split", direction: "vertical" });
+  var panes = [s.first.host.container, s.second.host.container];
+
+  assert.strictEqual(s.root.getAttribute("data-shinymcp-direction"), "vertical");
+  var separator = panes[0].nextSibling;
+  assert.strictEqual(separator.getAttribute("role"), "separator");
+  assert.strictEqual(separator.getAttribute("aria-orientation"), "horizontal");
+  assert.strictEqual(panes[0].style.flex, "0.5 1 0px");
+
+  key(s.win, separator, "ArrowDown");
+  assert.strictEqual(separator.getAttribute("aria-valuenow"), "55");
+  assert.strictEqual(panes[0].style.flex, "0.55 1 0px");
+
+  s.layout.setMode("tabs");
+  assert.strictEqual(s.root.querySelectorAll('[role="separator"]').length, 0);
+});
+
+test("a layout does not move a host container in from elsewhere", async function (t) {
+  var s = await twoApps(t, { mode: "tabs" });
+  var outside = s.win.document.createElement("div");
+  s.win.document.body.appendChild(outside);
+
+  assert.throws(function () {
+    s.layout.add(outside);
+  }, /inside the layout container/);
+  assert.strictEqual(outside.parentNode, s.win.document.body);
+  assert.strictEqual(s.layout.hosts().length, 2);
+});
+
+test("linked inputs run the other app's tools with the shared value", async function (t) {
+  var s = await twoApps(t, { mode: "grid", link: ["name"] });
+  var before = s.first.messages("out").length;
+
+  s.first.setInput("name", "Ada");
+  s.first.setInput("excited", true);
+  await s.first.settle();
+  await s.second.settle();
+
+  assert.strictEqual(s.first.output("greeting").textContent, "Hello, Ada!");
+  assert.strictEqual(s.second.output("greeting").textContent, "Hello, Ada.");
+  assert.strictEqual(s.second.appDocument.getElementById("excited").checked, false);
+  // The forwarded value does not come back to the app it started in
+  assert.deepStrictEqual(sentSince(s.first, before, "ui/notifications/tool-input"), []);
+});
+
+test("linked inputs only fill in an app that waits for Apply", async function (t) {
+  var s = await twoApps(
+    t,
+    { mode: "tabs", link: true },
+    { config: { instanceId: "harness-2", height: "auto", trigger: "submit" } }
+  );
+  var before = s.second.messages("out").length;
+
+  s.first.setInput("name", "Grace");
+  await s.first.settle();
+  await s.second.settle();
+
+  assert.strictEqual(s.second.appDocument.getElementById("name").value, "Grace");
+  assert.strictEqual(s.second.output("greeting").textContent, "Hello, world.");
+  assert.deepStrictEqual(
+    sentSince(s.second, before, "ui/notifications/trigger-tool-call"),
+    []
+  );
+});
@@ -0,0 +1,258 @@
+// shinymcpHost.transports against a local stand-in server. Run with
+// `npm test` from tests/js.
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var http = require("http");
+var fs = require("fs");
+var path = require("path");
+var JSDOM = require("jsdom").JSDOM;
+
+var HOST_JS = fs.readFileSync(
+  path.join(__dirname, "..", "..", "inst", "js", "shinymcp-host.js"),
+  "utf8"
+);
+
+// The host page's transports, with the fetch a browser would have given it
+function loadTransports() {
+  var dom = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    runScripts: "outside-only",
+    url: "http://localhost/",
+  });
+  var win = dom.window;
+  win.fetch = fetch;
+  win.AbortController = AbortController;
+  win.TextDecoder = TextDecoder;
+  win.eval(HOST_JS);
+  return { transports: win.shinymcpHost.transports, close: win.close.bind(win) };
+}
+
+function readBody(req) {
+  return new Promise(function (resolve) {
+    var chunks = [];
+    req.on("data", function (chunk) {
+      chunks.push(chunk);
+    });
+    req.on("end", function () {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : null);
+    });
+  });
+}
+
+function sendJson(res, status, body, headers) {
+  res.writeHead(status, Object.assign({ "Content-Type": "application/json" }, headers));
+  res.end(JSON.stringify(body));
+}
+
+function toolResult(text) {
+  return { content: [{ type: "text", text: text }] };
+}
+
+// /tool answers like preview_app(); /mcp speaks Streamable HTTP. Tools:
+// echo answers, fail is an HTTP 500, broken a JSON-RPC error, stream an SSE
+// response and slow never answers.
+function startServer() {
+  var seen = [];
+  var server = http.createServer(function (req, res) {
+    readBody(req).then(function (body) {
+      seen.push({ path: req.url, headers: req.headers, body: body });
+
+      if (req.url === "/tool") {
+        if (body.name === "fail") return sendJson(res, 500, { error: "boom" });
+        if (body.name === "slow") return;
+        return sendJson(res, 200, toolResult("echo " + JSON.stringify(body.arguments)));
+      }
+
+      if (!body.id) {
+        res.writeHead(202);
+        return res.end();
+      }
+      if (body.method === "initialize") {
+        return sendJson(
+          res,
+          200,
+          { jsonrpc: "2.0", id: body.id, result: { protocolVersion: "2025-06-18" } },
+          { "Mcp-Session-Id": "session-1" }
+        );
+      }
+      var name = body.params && body.params.name;
+      if (name === "fail") return sendJson(res, 500, {});
+      if (name === "slow") return;
+      if (name === "broken") {
+        return sendJson(res, 200, {
+          jsonrpc: "2.0",
+          id: body.id,
+          error: { code: -32602, message: "Bad arguments", data: { field: "x" } },
+        });
+      }
+      if (name === "stream") {
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        res.write(
+          'data: {"jsonrpc":"2.0","method":"notifications/progress","params":{"progress":1}}\n\n'
+        );
+        res.end(
+          "data: " +
+            JSON.stringify({ jsonrpc: "2.0", id: body.id, result: toolResult("streamed") }) +
+            "\n\n"
+        );
+        return;
+      }
+      sendJson(res, 200, { jsonrpc: "2.0", id: body.id, result: toolResult("echo") });
+    });
+  });
+  return new Promise(function (resolve) {
+    server.listen(0, "127.0.0.1", function () {
+      resolve({
+        url: "http://127.0.0.1:" + server.address().port,
+        seen: seen,
+        close: function () {
+          server.closeAllConnections();
+          return new Promise(function (done) {
+            server.close(done);
+          });
+        },
+      });
+    });
+  });
+}
+
+async function setup(t) {
+  var server = await startServer();
+  var page = loadTransports();
+  t.after(function () {
+    page.close();
+    return server.close();
+  });
+  return { server: server, transports: page.transports };
+}
+
+function waitFor(check) {
+  return new Promise(function (resolve) {
+    (function poll() {
+      if (check()) return resolve();
+      setTimeout(poll, 5);
+    })();
+  });
+}
+
+test("fetch transport returns the tool result", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.fetch({ url: s.server.url + "/tool" });
+
+  var result = await transport.callTool({ requestId: 1, name: "echo", arguments: { x: 1 } });
+  assert.strictEqual(result.content[0].text, 'echo {"x":1}');
+});
+
+test("fetch transport rejects on an HTTP error", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.fetch({ url: s.server.url + "/tool" });
+
+  await assert.rejects(
+    transport.callTool({ requestId: 1, name: "fail", arguments: {} }),
+    /HTTP 500/
+  );
+});
+
+test("fetch transport aborts a cancelled call", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.fetch({ url: s.server.url + "/tool" });
+
+  var request = { requestId: 1, name: "slow", arguments: {} };
+  var pending = transport.callTool(request);
+  await waitFor(function () {
+    return s.server.seen.length === 1;
+  });
+  transport.cancelTool(request, "Superseded");
+  await assert.rejects(pending, { name: "AbortError" });
+});
+
+test("http transport initializes once and keeps the session", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.http({ url: s.server.url + "/mcp" });
+
+  var first = await transport.callTool({ requestId: 1, name: "echo", arguments: {} });
+  await transport.callTool({ requestId: 2, name: "echo", arguments: {} });
+
+  assert.strictEqual(first.content[0].text, "echo");
+  var methods = s.server.seen.map(function (entry) {
+    return entry.body.method;
+  });
+  assert.deepStrictEqual(methods, [
+    "initialize",
+    "notifications/initialized",
+    "tools/call",
+    "tools/call",
+  ]);
+  var last = s.server.seen[3].headers;
+  assert.strictEqual(last["mcp-session-id"], "session-1");
+  assert.strictEqual(last["mcp-protocol-version"], "2025-06-18");
+});
+
+test("http transport reads a response from an event stream", async function (t) {
+  var s = await setup(t);
+  var notices = [];
+  var transport = s.transports.http({
+    url: s.server.url + "/mcp",
+    onMessage: function (message) {
+      notices.push(message.method);
+    },
+  });
+
+  var result = await transport.callTool({ requestId: 1, name: "stream", arguments: {} });
+  assert.strictEqual(result.content[0].text, "streamed");
+  assert.deepStrictEqual(notices, ["notifications/progress"]);
+});
+
+test("http transport rejects on an HTTP error", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.http({ url: s.server.url + "/mcp" });
+
+  await assert.rejects(
+    transport.callTool({ requestId: 1, name: "fail", arguments: {} }),
+    /HTTP 500/
+  );
+});
+
+test("http transport rejects with the JSON-RPC error", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.http({ url: s.server.url + "/mcp" });
+
+  await assert.rejects(
+    transport.callTool({ requestId: 1, name: "broken", arguments: {} }),
+    function (err) {
+      assert.strictEqual(err.message, "Bad arguments");
+      assert.strictEqual(err.code, -32602);
+      assert.deepStrictEqual({ field: err.data.field }, { field: "x" });
+      return true;
+    }
+  );
+});
+
+test("http transport aborts a cancelled call and tells the server", async function (t) {
+  var s = await setup(t);
+  var transport = s.transports.http({ url: s.server.url + "/mcp" });
+
+  var request = { requestId: 1, name: "slow", arguments: {} };
+  var pending = transport.callTool(request);
+  await waitFor(function () {
+    return s.server.seen.some(function (entry) {
+      return entry.body.method === "tools/call";
+    });
+  });
+  transport.cancelTool(request, "Superseded");
+  await assert.rejects(pending, { name: "AbortError" });
+
+  await waitFor(function () {
+    return s.server.seen.some(function (entry) {
+      return entry.body.method === "notifications/cancelled";
+    });
+  });
+  var call = s.server.seen.filter(function (entry) {
+    return entry.body.method === "tools/call";
+  })[0].body;
+  var cancelled = s.server.seen.filter(function (entry) {
+    return entry.body.method === "notifications/cancelled";
+  })[0].body;
+  assert.deepStrictEqual(cancelled.params, { requestId: call.id, reason: "Superseded" });
+});